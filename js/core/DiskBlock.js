@@ -7,7 +7,8 @@ class DiskBlock {
         this.page = null;                // Currently held page (or null if free)
         this.isFree = true;              // Free status
 
-        // For visualization (circular platter positioning)
+        // Platter geometry (SwapDevice timing and visualization)
+        this.track = 0;                  // Track (ring), 0 = innermost
         this.angle = 0;                  // Angle on disk platter
         this.radius = 0;                 // Radius from center
         this.mesh = null;                // Three.js mesh reference
@@ -0,0 +1,115 @@
+/**
+ * EventBus - Multi-subscriber event emitter
+ * Any number of listeners per event, in registration order.
+ * Listeners on '*' receive every event as (event, payload)
+ */
+class EventBus {
+    constructor() {
+        this.listeners = new Map();     // event -> [{ callback, once }]
+    }
+
+    /**
+     * Subscribe to an event ('*' for all events)
+     * @param {string} event
+     * @param {Function} callback - (payload), or (event, payload) for '*'
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(event, callback) {
+        return this.addListener(event, callback, false);
+    }
+
+    /**
+     * Subscribe for the next emission only
+     * @returns {Function} - Call to unsubscribe before it fires
+     */
+    once(event, callback) {
+        return this.addListener(event, callback, true);
+    }
+
+    addListener(event, callback, once) {
+        if (typeof callback !== 'function') {
+            throw new Error(`Listener for "${event}" must be a function`);
+        }
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        const listener = { callback, once };
+        this.listeners.get(event).push(listener);
+        return () => this.removeListener(event, listener);
+    }
+
+    /**
+     * Unsubscribe a listener, or every listener of the event if none is given
+     */
+    off(event, callback) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        if (!callback) {
+            this.listeners.delete(event);
+            return;
+        }
+
+        const listener = listeners.find(l => l.callback === callback);
+        if (listener) {
+            this.removeListener(event, listener);
+        }
+    }
+
+    /**
+     * Remove one registration, so a callback subscribed through both
+     * on() and once() loses only the entry that was asked for
+     */
+    removeListener(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        if (listeners.length === 0) {
+            this.listeners.delete(event);
+        }
+    }
+
+    /**
+     * Call the listeners of an event, then the wildcard listeners
+     */
+    emit(event, payload) {
+        this.dispatch(event, [payload]);
+        this.dispatch('*', [event, payload]);
+    }
+
+    dispatch(event, args) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+
+        // Copy, so listeners may subscribe or unsubscribe while being called
+        for (const listener of [...listeners]) {
+            if (listener.once) {
+                this.removeListener(event, listener);
+            }
+            listener.callback(...args);
+        }
+    }
+
+    /**
+     * Whether an emission of the event would reach any listener
+     */
+    hasListeners(event) {
+        return this.listeners.has(event) || this.listeners.has('*');
+    }
+
+    /**
+     * Remove every listener
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+}
@@ -12,6 +12,7 @@ class Page {
         // Location tracking
         this.frameId = null;                 // Physical frame ID (if in RAM)
         this.diskBlockId = null;             // Disk block ID (if swapped)
+        this.swapCopyBlockId = null;         // Block still holding a clean copy while in RAM
         this.location = 'none';              // 'ram' | 'disk' | 'none'
 
         // For page replacement algorithms
@@ -20,6 +21,7 @@ class Page {
         this.accessCount = 0;                // Access count for LFU
         this.referenceBit = 0;               // For Clock algorithm
         this.modifiedBit = false;            // Dirty bit
+        this.agingCounter = 0;               // 8-bit shift register for Aging
 
         // For visualization
         this.mesh = null;                    // Three.js mesh reference
@@ -35,11 +37,28 @@ class Page {
         this.referenceBit = 1;
     }
 
+    /**
+     * Record a write - the page now differs from its swap copy
+     */
+    markDirty() {
+        this.modifiedBit = true;
+    }
+
+    /**
+     * Whether evicting the page can skip the write: it is clean and its
+     * swap block still holds the same contents
+     */
+    hasSwapCopy() {
+        return this.swapCopyBlockId !== null;
+    }
+
     /**
      * Move page to RAM
+     * A page read from swap keeps its block as a copy until it is written
      */
     moveToRAM(frameId, timestamp) {
         this.frameId = frameId;
+        this.swapCopyBlockId = this.diskBlockId;
         this.diskBlockId = null;
         this.location = 'ram';
         this.loadTime = timestamp;
@@ -52,8 +71,38 @@ class Page {
     moveToDisk(diskBlockId) {
         this.frameId = null;
         this.diskBlockId = diskBlockId;
+        this.swapCopyBlockId = null;
         this.location = 'disk';
         this.referenceBit = 0;
+        this.modifiedBit = false;        // Contents written to swap
+    }
+
+    /**
+     * Drop the page from memory and swap (its process was killed)
+     */
+    release() {
+        this.frameId = null;
+        this.diskBlockId = null;
+        this.swapCopyBlockId = null;
+        this.location = 'none';
+        this.referenceBit = 0;
+        this.modifiedBit = false;
+    }
+
+    /**
+     * Get the page as plain data for a snapshot (without the mesh)
+     */
+    serialize() {
+        const data = Object.assign({}, this);
+        delete data.mesh;
+        return data;
+    }
+
+    /**
+     * Recreate a page from serialize() data
+     */
+    static restore(data) {
+        return Object.assign(new Page(data.id, data.processId, data.processName), data, { mesh: null });
     }
 
     /**
@@ -73,7 +122,11 @@ class Page {
             location: this.location,
             frame: this.frameId,
             diskBlock: this.diskBlockId,
-            accesses: this.accessCount
+            swapCopy: this.swapCopyBlockId,
+            accesses: this.accessCount,
+            referenced: this.referenceBit,
+            dirty: this.modifiedBit,
+            agingCounter: this.agingCounter
         };
     }
 }
@@ -11,10 +11,29 @@ class Process {
         // Workload characteristics
         this.locality = options.locality || 0.7;    // Locality factor (0-1)
         this.workingSetSize = options.workingSetSize || Math.ceil(pageCount * 0.4);
+        this.writeRatio = typeof options.writeRatio === 'number' ? options.writeRatio : null; // Share of writes (null = workload default)
+
+        // Scheduling state
+        this.state = 'running';                     // 'running' | 'suspended' | 'killed'
+        this.suspendedAt = null;                    // Simulation time of suspension
+        this.suspendedWorkingSet = 0;               // Working set when suspended
+        this.suspendCount = 0;                      // Times suspended by load control
+        this.blockedUntil = 0;                      // CPU model: waiting for the disk until then
+        this.killedAt = null;                       // Simulation time the OOM killer struck
+        this.oomScoreAdj = options.oomScoreAdj || 0; // OOM badness bias, -1000 (never kill) to 1000
+
+        // Frame allocation
+        this.priority = options.priority || 1;      // Weight for priority allocation
+        this.frameQuota = null;                     // Frames granted by FrameAllocator
 
         // Statistics
         this.totalAccesses = 0;
         this.pageFaults = 0;
+        this.stallTime = 0;               // ns its accesses waited on faults and swap I/O
+
+        // Measured working set
+        this.lastReferences = new Map();  // pageId -> time of last reference
+        this.measuredWorkingSet = 0;      // Pages referenced within the window
 
         // Visualization
         this.color = options.color || this.generateColor();
@@ -45,19 +64,20 @@ class Process {
     /**
      * Get a random page to access based on locality
      * Higher locality = more likely to access recently accessed pages
+     * @param {SeededRandom} rng - Workload random source
      */
-    getRandomPageToAccess() {
+    getRandomPageToAccess(rng) {
         if (this.pages.length === 0) return null;
 
-        if (Math.random() < this.locality) {
+        if (rng.next() < this.locality) {
             // Access from working set (recently used pages)
             const recentPages = [...this.pages]
                 .sort((a, b) => b.lastAccessTime - a.lastAccessTime)
                 .slice(0, this.workingSetSize);
-            return recentPages[Math.floor(Math.random() * recentPages.length)];
+            return recentPages[rng.nextInt(recentPages.length)];
         } else {
             // Random access across all pages
-            return this.pages[Math.floor(Math.random() * this.pages.length)];
+            return this.pages[rng.nextInt(this.pages.length)];
         }
     }
 
@@ -75,6 +95,53 @@ class Process {
         return this.pages.filter(p => p.location === 'disk');
     }
 
+    /**
+     * Suspend the process (load control)
+     */
+    suspend(timestamp) {
+        this.state = 'suspended';
+        this.suspendedAt = timestamp;
+        this.suspendedWorkingSet = this.measuredWorkingSet;
+        this.suspendCount++;
+    }
+
+    /**
+     * Resume a suspended process
+     */
+    resume() {
+        this.state = 'running';
+        this.suspendedAt = null;
+    }
+
+    /**
+     * Check if the process is suspended
+     */
+    isSuspended() {
+        return this.state === 'suspended';
+    }
+
+    /**
+     * Terminate the process for good; the engine frees its memory
+     */
+    kill(timestamp) {
+        this.state = 'killed';
+        this.killedAt = timestamp;
+    }
+
+    /**
+     * Check if the process was killed
+     */
+    isKilled() {
+        return this.state === 'killed';
+    }
+
+    /**
+     * Check if the process is running (neither suspended nor killed)
+     */
+    isRunning() {
+        return this.state === 'running';
+    }
+
     /**
      * Record a page fault
      */
@@ -82,11 +149,55 @@ class Process {
         this.pageFaults++;
     }
 
+    /**
+     * Record the time an access spent waiting on its fault (ns)
+     */
+    recordStall(ns) {
+        this.stallTime += ns;
+    }
+
     /**
      * Record a page access
      */
-    recordAccess() {
+    recordAccess(page, timestamp) {
         this.totalAccesses++;
+        if (page) {
+            this.lastReferences.set(page.id, timestamp);
+        }
+    }
+
+    /**
+     * Measure the working set W(t, tau): pages referenced in the last tau
+     */
+    updateWorkingSet(now, tau) {
+        let count = 0;
+        this.lastReferences.forEach(time => {
+            if (now - time <= tau) count++;
+        });
+        this.measuredWorkingSet = count;
+        return count;
+    }
+
+    /**
+     * Get the process as plain data for a snapshot (pages by ID)
+     */
+    serialize() {
+        return Object.assign({}, this, {
+            pages: this.pages.map(page => page.id),
+            lastReferences: Array.from(this.lastReferences)
+        });
+    }
+
+    /**
+     * Recreate a process from serialize() data
+     * @param {Object} data
+     * @param {Map} pages - pageId -> restored Page
+     */
+    static restore(data, pages) {
+        return Object.assign(new Process(data.id, data.name, data.pageCount), data, {
+            pages: data.pages.map(id => pages.get(id)),
+            lastReferences: new Map(data.lastReferences)
+        });
     }
 
     /**
@@ -100,9 +211,14 @@ class Process {
             pagesOnDisk: this.getPagesOnDisk().length,
             pageFaults: this.pageFaults,
             totalAccesses: this.totalAccesses,
+            workingSet: this.measuredWorkingSet,
+            state: this.state,
+            priority: this.priority,
+            frameQuota: this.frameQuota,
             faultRate: this.totalAccesses > 0
                 ? (this.pageFaults / this.totalAccesses * 100).toFixed(1)
-                : 0
+                : 0,
+            stallTime: this.stallTime
         };
     }
 }
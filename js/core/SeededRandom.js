@@ -0,0 +1,61 @@
+/**
+ * SeededRandom - Small seedable pseudo-random generator (mulberry32)
+ * Same seed, same sequence - makes runs reproducible
+ */
+class SeededRandom {
+    constructor(seed) {
+        this.setSeed(seed !== undefined ? seed : SeededRandom.generateSeed());
+    }
+
+    /**
+     * Restart the sequence from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Get internal state (to resume the sequence later)
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restore internal state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Pick a fresh seed for runs without one
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
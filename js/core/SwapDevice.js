@@ -0,0 +1,281 @@
+/**
+ * SwapDevice - Hard disk behind the swap space
+ * Blocks sit on concentric tracks of a spinning platter; one head serves one
+ * request at a time. A request costs
+ *   seek      - moving the head to the block's track (settle + per track)
+ *   rotation  - waiting until the block's sector spins under the head
+ *   transfer  - reading or writing the page
+ * Requests wait in a queue; the scheduler picks which one the head serves next.
+ * Times are in ns on the access time clock (SimulationEngine.getTotalAccessTime())
+ */
+
+/**
+ * Disk scheduling algorithms: key -> description
+ */
+const DISK_SCHEDULERS = {
+    FCFS: 'First come, first served',
+    SSTF: 'Shortest seek first',
+    SCAN: 'Elevator: sweep to the last track, then back',
+    CLOOK: 'Sweep outwards only, jump back to the innermost request'
+};
+
+class SwapDevice {
+    constructor(trackCount = 3, scheduler = 'FCFS') {
+        this.trackCount = trackCount;
+        this.scheduler = scheduler;
+
+        // Timing (ns)
+        this.rotationTime = 60e9 / 7200;    // One revolution (7200 RPM)
+        this.settleTime = 1000000;          // Fixed cost of any seek
+        this.trackSeekTime = 3000000;       // Per track crossed
+        this.transferTime = 100000;         // One page
+
+        this.reset();
+    }
+
+    /**
+     * Set timing and scheduler
+     * @param {Object} options - { scheduler, rpm, settleTime, trackSeekTime, transferTime }
+     */
+    configure(options) {
+        if (options.scheduler !== undefined) this.setScheduler(options.scheduler);
+        if (options.rpm !== undefined) this.rotationTime = 60e9 / Math.max(1, options.rpm);
+        if (options.settleTime !== undefined) this.settleTime = Math.max(0, options.settleTime);
+        if (options.trackSeekTime !== undefined) this.trackSeekTime = Math.max(0, options.trackSeekTime);
+        if (options.transferTime !== undefined) this.transferTime = Math.max(0, options.transferTime);
+    }
+
+    /**
+     * Choose the disk scheduling algorithm (FCFS | SSTF | SCAN | CLOOK)
+     */
+    setScheduler(scheduler) {
+        if (!DISK_SCHEDULERS[scheduler]) {
+            throw new Error(`Unknown disk scheduler "${scheduler}"`);
+        }
+        this.scheduler = scheduler;
+    }
+
+    /**
+     * Queue a transfer
+     * @param {string} type - 'read' | 'write'
+     * @param {DiskBlock} block - Target block (track, angle)
+     * @param {number} pageId
+     * @param {number} arrival - Time the request is issued (ns)
+     * @returns {Object} - The request; filled in once served
+     */
+    submit(type, block, pageId, arrival) {
+        const request = {
+            id: this.nextRequestId++,
+            type,
+            blockId: block.id,
+            track: block.track,
+            angle: block.angle,
+            pageId,
+            arrival,
+            start: null,
+            end: null
+        };
+        this.queue.push(request);
+        return request;
+    }
+
+    /**
+     * Serve requests that start before a time - the disk keeps working
+     * while the CPU runs
+     * @returns {Object[]} - Requests served, in order
+     */
+    advance(now) {
+        const served = [];
+        while (this.queue.length > 0 && this.getNextStart() < now) {
+            served.push(this.serveNext());
+        }
+        return served;
+    }
+
+    /**
+     * Serve requests until every one of `requests` is done
+     * @returns {Object[]} - Requests served, in order (others may be among them)
+     */
+    complete(requests) {
+        const served = [];
+        while (requests.some(request => request.end === null) && this.queue.length > 0) {
+            served.push(this.serveNext());
+        }
+        return served;
+    }
+
+    /**
+     * Time the head can start on the next request
+     */
+    getNextStart() {
+        const firstArrival = Math.min(...this.queue.map(request => request.arrival));
+        return Math.max(this.freeAt, firstArrival);
+    }
+
+    /**
+     * Let the scheduler pick among the requests waiting at the next start,
+     * then move the head and wait for the sector
+     */
+    serveNext() {
+        const start = this.getNextStart();
+        const waiting = this.queue.filter(request => request.arrival <= start);
+        const { request, distance } = this.pick(waiting);
+        this.queue.splice(this.queue.indexOf(request), 1);
+
+        const fromTrack = this.headTrack;
+        const seek = distance > 0 ? this.settleTime + distance * this.trackSeekTime : 0;
+        const rotation = this.getRotationalDelay(request.angle, start + seek);
+
+        request.start = start;
+        request.fromTrack = fromTrack;
+        request.seek = seek;
+        request.rotation = rotation;
+        request.transfer = this.transferTime;
+        request.end = start + seek + rotation + this.transferTime;
+        request.scheduler = this.scheduler;
+
+        this.headTrack = request.track;
+        this.freeAt = request.end;
+
+        this.stats.served++;
+        this.stats.tracksMoved += distance;
+        this.stats.seek += seek;
+        this.stats.rotation += rotation;
+        this.stats.transfer += this.transferTime;
+        this.stats.wait += start - request.arrival;
+        return request;
+    }
+
+    /**
+     * Next request by the active scheduler
+     * @param {Object[]} waiting - Requests that have arrived, in arrival order
+     * @returns {Object} - { request, distance } - distance in tracks the head travels
+     */
+    pick(waiting) {
+        const head = this.headTrack;
+        const nearest = (requests) => requests.reduce((best, request) =>
+            Math.abs(request.track - head) < Math.abs(best.track - head) ? request : best);
+
+        switch (this.scheduler) {
+            case 'SSTF': {
+                const request = nearest(waiting);
+                return { request, distance: Math.abs(request.track - head) };
+            }
+            case 'SCAN': {
+                let ahead = waiting.filter(r => (r.track - head) * this.direction >= 0);
+                let distance = 0;
+                if (ahead.length === 0) {
+                    // Nothing left this way: run on to the last track, then turn
+                    const edge = this.direction > 0 ? this.trackCount - 1 : 0;
+                    distance = Math.abs(edge - head);
+                    this.direction = -this.direction;
+                    ahead = waiting;
+                    const request = ahead.reduce((best, r) =>
+                        Math.abs(r.track - edge) < Math.abs(best.track - edge) ? r : best);
+                    return { request, distance: distance + Math.abs(request.track - edge) };
+                }
+                const request = nearest(ahead);
+                return { request, distance: Math.abs(request.track - head) };
+            }
+            case 'CLOOK': {
+                const ahead = waiting.filter(r => r.track >= head);
+                const request = ahead.length > 0
+                    ? nearest(ahead)
+                    : waiting.reduce((lowest, r) => r.track < lowest.track ? r : lowest);
+                return { request, distance: Math.abs(request.track - head) };
+            }
+            default:
+                return { request: waiting[0], distance: Math.abs(waiting[0].track - head) };
+        }
+    }
+
+    /**
+     * Expected time (ns) of one request on an idle disk: a seek across a
+     * third of the tracks, half a turn and the transfer
+     */
+    getAverageServiceTime() {
+        const seek = this.settleTime + (this.trackCount - 1) / 3 * this.trackSeekTime;
+        return seek + this.rotationTime / 2 + this.transferTime;
+    }
+
+    /**
+     * Platter angle at a time: the sector at `angle` is under the head
+     * (at angle 0) when angle + platterAngle is a whole turn
+     */
+    getPlatterAngle(time) {
+        return (time % this.rotationTime) / this.rotationTime * Math.PI * 2;
+    }
+
+    /**
+     * Time until the sector at `angle` reaches the head
+     */
+    getRotationalDelay(angle, time) {
+        const turn = Math.PI * 2;
+        const remaining = (((-angle - this.getPlatterAngle(time)) % turn) + turn) % turn;
+        return remaining / turn * this.rotationTime;
+    }
+
+    /**
+     * Averages per served request (ns) and the queue length
+     */
+    getStats() {
+        const served = Math.max(1, this.stats.served);
+        return {
+            scheduler: this.scheduler,
+            served: this.stats.served,
+            queueLength: this.queue.length,
+            headTrack: this.headTrack,
+            tracksMoved: this.stats.tracksMoved,
+            avgSeek: this.stats.seek / served,
+            avgRotation: this.stats.rotation / served,
+            avgTransfer: this.stats.transfer / served,
+            avgWait: this.stats.wait / served
+        };
+    }
+
+    /**
+     * Get head, queue and counters as plain data for a snapshot
+     */
+    serialize() {
+        return {
+            scheduler: this.scheduler,
+            headTrack: this.headTrack,
+            direction: this.direction,
+            freeAt: this.freeAt,
+            nextRequestId: this.nextRequestId,
+            queue: this.queue.map(request => Object.assign({}, request)),
+            stats: Object.assign({}, this.stats)
+        };
+    }
+
+    /**
+     * Restore serialize() data
+     */
+    restore(state) {
+        this.scheduler = state.scheduler;
+        this.headTrack = state.headTrack;
+        this.direction = state.direction;
+        this.freeAt = state.freeAt;
+        this.nextRequestId = state.nextRequestId;
+        this.queue = state.queue.map(request => Object.assign({}, request));
+        this.stats = Object.assign({}, state.stats);
+    }
+
+    /**
+     * Park the head and empty the queue
+     */
+    reset() {
+        this.headTrack = 0;
+        this.direction = 1;         // SCAN: +1 outwards, -1 inwards
+        this.freeAt = 0;            // Time the head finishes its current request
+        this.nextRequestId = 0;
+        this.queue = [];
+        this.stats = { served: 0, tracksMoved: 0, seek: 0, rotation: 0, transfer: 0, wait: 0 };
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SwapDevice = SwapDevice;
+    window.DISK_SCHEDULERS = DISK_SCHEDULERS;
+}
@@ -5,14 +5,16 @@
 class SwapSystem {
     constructor(blockCount) {
         this.blockCount = blockCount;
+        this.trackCount = 3;         // Concentric tracks the blocks are spread over
         this.blocks = [];
         this.freeBlocks = [];
 
         // I/O Statistics
         this.swapInCount = 0;
         this.swapOutCount = 0;
-        this.ioOperations = [];      // Recent I/O operations with timestamps
-        this.ioWindow = 1000;        // Window for calculating I/O rate (ms)
+        this.ioOperations = [];      // Recent I/O operations with simulation timestamps
+        this.ioWindow = 1000;        // Window for calculating I/O rate (simulated ms)
+        this.historyWindow = 1000;   // Operations are kept for the longest window asked about
 
         this.initialize();
     }
@@ -24,13 +26,15 @@ class SwapSystem {
         this.blocks = [];
         this.freeBlocks = [];
 
+        // Consecutive blocks fill one track, then the next (as DiskVisualizer draws them)
+        const blocksPerTrack = Math.ceil(this.blockCount / this.trackCount);
         for (let i = 0; i < this.blockCount; i++) {
             const block = new DiskBlock(i);
-            // Calculate position on circular platter
-            const angle = (i / this.blockCount) * Math.PI * 2;
-            const radius = 3 + (i % 3) * 0.8; // Multiple rings
-            block.angle = angle;
-            block.radius = radius;
+            const track = Math.floor(i / blocksPerTrack);
+            const blocksInTrack = Math.min(blocksPerTrack, this.blockCount - track * blocksPerTrack);
+            block.track = track;
+            block.angle = ((i % blocksPerTrack) / blocksInTrack) * Math.PI * 2;
+            block.radius = 3 + track * 0.8;
             this.blocks.push(block);
             this.freeBlocks.push(block);
         }
@@ -38,10 +42,12 @@ class SwapSystem {
 
     /**
      * Allocate a block for a page being swapped out
+     * @param {Page} page
+     * @param {number} timestamp - Simulation time of the write
+     * @returns {DiskBlock|null} - null when swap is full; the page is left untouched
      */
-    allocateBlock(page) {
-        if (this.freeBlocks.length === 0) {
-            console.error('Swap space full!');
+    allocateBlock(page, timestamp = 0) {
+        if (!this.hasFreeBlock()) {
             return null;
         }
 
@@ -51,48 +57,84 @@ class SwapSystem {
 
         // Record I/O
         this.swapOutCount++;
-        this.recordIO('out');
+        this.recordIO('out', timestamp);
 
         return block;
     }
 
     /**
-     * Free a block when page is swapped back in
+     * Read a block when its page is swapped back in
+     * The block stays allocated: it is the page's clean copy until the page is written
+     * @param {number} blockId
+     * @param {number} timestamp - Simulation time of the read
      */
-    freeBlock(blockId) {
-        const block = this.blocks[blockId];
-        if (block) {
-            block.free();
-            this.freeBlocks.push(block);
-
+    readBlock(blockId, timestamp = 0) {
+        if (this.blocks[blockId]) {
             // Record I/O
             this.swapInCount++;
-            this.recordIO('in');
+            this.recordIO('in', timestamp);
         }
     }
 
     /**
-     * Record an I/O operation with timestamp
+     * Evict a clean page onto the block that already holds its copy - no write
+     * @param {Page} page - Page with a swap copy
+     * @returns {DiskBlock}
+     */
+    discardPage(page) {
+        const block = this.blocks[page.swapCopyBlockId];
+        page.moveToDisk(block.id);
+        return block;
+    }
+
+    /**
+     * Return a block to the free list without reading it (its page was discarded)
+     * @returns {boolean} - Whether the block existed
+     */
+    releaseBlock(blockId) {
+        const block = this.blocks[blockId];
+        if (!block) return false;
+
+        block.free();
+        this.freeBlocks.push(block);
+        return true;
+    }
+
+    /**
+     * Whether a page can still be swapped out
+     */
+    hasFreeBlock() {
+        return this.freeBlocks.length > 0;
+    }
+
+    /**
+     * Record an I/O operation with its simulation timestamp
      */
-    recordIO(type) {
-        const now = Date.now();
-        this.ioOperations.push({ time: now, type });
+    recordIO(type, timestamp) {
+        this.ioOperations.push({ time: timestamp, type });
 
-        // Clean old operations outside window
+        // Clean old operations outside every window in use
         this.ioOperations = this.ioOperations.filter(
-            op => now - op.time < this.ioWindow
+            op => timestamp - op.time < this.historyWindow
         );
     }
 
     /**
-     * Get current I/O rate (operations per second)
+     * Count I/O operations in the window (now - windowMs, now]
+     * @param {number} now - Current simulation time
+     * @param {number} windowMs - Window length in simulated ms
      */
-    getIORate() {
-        const now = Date.now();
-        const recentOps = this.ioOperations.filter(
-            op => now - op.time < this.ioWindow
-        );
-        return (recentOps.length / this.ioWindow) * 1000;
+    getOperationCount(now, windowMs = this.ioWindow) {
+        this.historyWindow = Math.max(this.historyWindow, windowMs);
+        return this.ioOperations.filter(op => now - op.time < windowMs).length;
+    }
+
+    /**
+     * Get current I/O rate (operations per simulated second)
+     * @param {number} now - Current simulation time
+     */
+    getIORate(now) {
+        return (this.getOperationCount(now) / this.ioWindow) * 1000;
     }
 
     /**
@@ -112,8 +154,9 @@ class SwapSystem {
 
     /**
      * Get statistics
+     * @param {number} now - Current simulation time (for the I/O rate)
      */
-    getStats() {
+    getStats(now) {
         return {
             totalBlocks: this.blockCount,
             usedBlocks: this.getUsedCount(),
@@ -121,7 +164,7 @@ class SwapSystem {
             utilization: this.getUtilization(),
             swapInCount: this.swapInCount,
             swapOutCount: this.swapOutCount,
-            ioRate: this.getIORate()
+            ioRate: this.getIORate(now)
         };
     }
 
@@ -132,6 +175,40 @@ class SwapSystem {
         return this.blocks.find(b => b.page === page);
     }
 
+    /**
+     * Get block contents and I/O history as plain data for a snapshot
+     */
+    serialize() {
+        return {
+            blockCount: this.blockCount,
+            blocks: this.blocks.map(block => block.page ? block.page.id : null),
+            freeBlocks: this.freeBlocks.map(block => block.id),
+            swapInCount: this.swapInCount,
+            swapOutCount: this.swapOutCount,
+            ioOperations: this.ioOperations.map(op => Object.assign({}, op)),
+            historyWindow: this.historyWindow
+        };
+    }
+
+    /**
+     * Restore serialize() data
+     * @param {Object} state
+     * @param {Map} pages - pageId -> restored Page
+     */
+    restore(state, pages) {
+        this.resize(state.blockCount);
+        state.blocks.forEach((pageId, i) => {
+            if (pageId !== null) {
+                this.blocks[i].allocate(pages.get(pageId));
+            }
+        });
+        this.freeBlocks = state.freeBlocks.map(id => this.blocks[id]);
+        this.swapInCount = state.swapInCount;
+        this.swapOutCount = state.swapOutCount;
+        this.ioOperations = state.ioOperations.map(op => Object.assign({}, op));
+        this.historyWindow = state.historyWindow;
+    }
+
     /**
      * Reset swap system
      */
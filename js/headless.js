@@ -0,0 +1,48 @@
+/**
+ * Headless loader - Runs the simulation in Node, without a browser or Three.js
+ * Loads the core, policy and simulation scripts in the order index.html lists
+ * them, inside one VM context that stands in for `window`
+ *
+ *   const { loadSimulation } = require('./js/headless');
+ *   const { SimulationEngine, getScenario } = loadSimulation();
+ *
+ *   const engine = new SimulationEngine();
+ *   engine.loadScenario(getScenario('heavy'));
+ *   const stats = engine.runFor(1000);
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const HEADLESS_DIRS = ['js/core/', 'js/policies/', 'js/simulation/'];
+
+/**
+ * Script paths from index.html that do not need a DOM, in load order
+ */
+function getHeadlessScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)]
+        .map(match => match[1])
+        .filter(src => HEADLESS_DIRS.some(dir => src.startsWith(dir)));
+}
+
+/**
+ * Load a fresh copy of the simulation
+ * Every call gets its own context, so policy registries and globals are not shared
+ * @returns {Object} - Everything the scripts export on window (SimulationEngine, SCENARIOS, ...)
+ */
+function loadSimulation() {
+    const context = { console, setTimeout, clearTimeout };
+    context.window = context;
+    vm.createContext(context);
+
+    for (const src of getHeadlessScripts()) {
+        const code = fs.readFileSync(path.join(ROOT, src), 'utf8');
+        vm.runInContext(code, context, { filename: src });
+    }
+
+    return context;
+}
+
+module.exports = { loadSimulation };
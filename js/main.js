@@ -1,6 +1,6 @@
 /**
  * Main Application - Orchestrates all components
- * Exposes public API: loadScenario(), play(), pause(), step(), reset()
+ * Exposes public API: loadScenario(), play(), pause(), step(), stepBack(), seek(), reset()
  */
 class ThrashingVisualizer {
     constructor() {
@@ -18,6 +18,9 @@ class ThrashingVisualizer {
         this.eventLog = null;
         this.scenarioSelector = null;
         this.activityPanel = null;
+        this.frameTooltip = null;
+        this.quotaPanel = null;
+        this.utilizationChart = null;
 
         // State
         this.isInitialized = false;
@@ -84,18 +87,37 @@ class ThrashingVisualizer {
         // KPI Dashboard
         this.kpiDashboard = new KPIDashboard('kpi-container');
 
+        // Per-process frame quotas
+        this.quotaPanel = new QuotaPanel('quota-container');
+
+        // CPU utilization vs degree of multiprogramming
+        this.utilizationChart = new UtilizationChart('utilization-container');
+
         // Event Log
         this.eventLog = new EventLog('event-log-container');
 
+        // Hover tooltip over frames and blocks
+        this.frameTooltip = new FrameTooltip('visualization-container');
+        this.sceneManager.onHover = (target, x, y) => this.showTooltip(target, x, y);
+
         // Controls
         this.controls = new Controls('controls-container', {
             onPlay: () => this.play(),
             onPause: () => this.pause(),
             onStep: () => this.step(),
+            onStepBack: () => this.stepBack(),
+            onSeek: (step) => this.seek(step),
             onReset: () => this.reset(),
             onSpeedChange: (speed) => this.simulation.setSpeed(speed),
             onIntensityChange: (intensity) => this.simulation.setIntensity(intensity),
+            onPFFThresholdsChange: (lower, upper) => this.simulation.setPFFThresholds(lower, upper),
+            onLoadControlChange: (enabled) => this.simulation.setLoadControl(enabled),
+            onThrashingRuleChange: (rule) => this.simulation.setThrashingRule(rule),
+            onDiskSchedulerChange: (scheduler) => this.simulation.setDiskScheduler(scheduler),
             onConfigChange: (config) => this.applyConfiguration(config),
+            onSaveSnapshot: () => this.saveSnapshot(),
+            onLoadSnapshot: (snapshot) => this.restoreSnapshot(snapshot),
+            onSnapshotError: (fileName, error) => this.eventLog.log(`Could not load ${fileName}`, 'danger', error.message),
             onResetCamera: () => this.sceneManager.resetCamera(),
             onToggleLabels: () => this.sceneManager.toggleLabels(),
             onToggleParticles: () => this.effectsManager.toggleParticles(),
@@ -121,32 +143,38 @@ class ThrashingVisualizer {
         const effectsManager = this.effectsManager;
         const simulation = this.simulation;
         const kpiDashboard = this.kpiDashboard;
+        const quotaPanel = this.quotaPanel;
+        const utilizationChart = this.utilizationChart;
 
         // Page allocated to RAM
-        this.simulation.on('onPageAllocated', (page, frame) => {
+        this.simulation.on('onPageAllocated', ({ page, frame }) => {
             pageRenderer.addPageToRAM(page, frame, true);
         });
 
         // Page evicted (before swap out)
-        this.simulation.on('onPageEvicted', (page, frame) => {
+        this.simulation.on('onPageEvicted', ({ page }) => {
             const policyName = simulation.policy.getName();
-            eventLog.logSwapOut(page, policyName);
+            eventLog.logSwapOut(page, policyName, !page.hasSwapCopy());
 
             // Update activity panel with policy decision
-            let victimReason = '';
-            if (policyName === 'FIFO') {
-                victimReason = 'Oldest page in RAM (first loaded)';
-            } else if (policyName === 'LRU') {
-                victimReason = 'Least recently accessed page';
-            }
-            activityPanel.showPolicyDecision(policyName, page, victimReason);
+            const { explanation } = simulation.getPolicyMetadata();
+            const victimReason = typeof explanation === 'function'
+                ? explanation(simulation.policy)
+                : explanation || simulation.policy.getDescription();
+            activityPanel.showPolicyDecision(policyName, page, victimReason,
+                simulation.policy.getLastVictimClass());
+        });
+
+        // Clock hand sweep (Second Chance policies)
+        this.simulation.on('onPolicySweep', ({ sweep }) => {
+            this.ramVisualizer.animateClockSweep(sweep);
         });
 
         // Page swapped out to disk
-        this.simulation.on('onPageSwappedOut', (page, block) => {
+        this.simulation.on('onPageSwappedOut', ({ page, block }) => {
             const frame = simulation.frames.find(f => f.page === page);
             const policyName = simulation.policy.getName();
-            let victimReason = policyName === 'FIFO' ? 'First-In-First-Out' : 'Least Recently Used';
+            const victimReason = simulation.getPolicyMetadata().reason;
 
             // Update activity panel
             activityPanel.showSwapOut(page, victimReason, policyName, block ? block.id : null);
@@ -164,17 +192,22 @@ class ThrashingVisualizer {
         });
 
         // Page swapped in from disk
-        this.simulation.on('onPageSwappedIn', (page) => {
+        this.simulation.on('onPageSwappedIn', ({ page, block }) => {
             eventLog.logSwapIn(page);
 
             // Show swap in on activity panel
             const targetFrame = simulation.frames.find(f => f.page === page);
-            activityPanel.showSwapIn(page, page.diskBlockId, targetFrame ? targetFrame.id : null);
+            activityPanel.showSwapIn(page, block.id, targetFrame ? targetFrame.id : null);
             activityPanel.clearSwapIn();
         });
 
+        // Swap request served by the disk: replay the head movement
+        this.simulation.on('onDiskIO', ({ request }) => {
+            diskVisualizer.queueHeadMove(request);
+        });
+
         // Page accessed
-        this.simulation.on('onPageAccessed', (page, result) => {
+        this.simulation.on('onPageAccessed', ({ page, result }) => {
             pageRenderer.highlightPage(page.id);
 
             // Update activity panel
@@ -187,7 +220,7 @@ class ThrashingVisualizer {
         });
 
         // Page fault
-        this.simulation.on('onPageFault', (page) => {
+        this.simulation.on('onPageFault', ({ page }) => {
             eventLog.logPageFault(page);
             activityPanel.showPageFault(page);
 
@@ -198,7 +231,7 @@ class ThrashingVisualizer {
         });
 
         // Thrashing state change
-        this.simulation.on('onThrashingChange', (isThrashing) => {
+        this.simulation.on('onThrashingChange', ({ isThrashing }) => {
             eventLog.logThrashing(isThrashing);
             if (isThrashing) {
                 effectsManager.activateThrashing();
@@ -207,17 +240,90 @@ class ThrashingVisualizer {
             }
         });
 
+        // Frame quota changed (allocation or PFF control loop)
+        this.simulation.on('onQuotaChange', (change) => {
+            eventLog.logQuotaChange(change);
+        });
+
         // Stats update
-        this.simulation.on('onStatsUpdate', (stats) => {
+        this.simulation.on('onStatsUpdate', ({ stats }) => {
             kpiDashboard.update(stats);
+            quotaPanel.update(stats);
+            utilizationChart.update(stats, simulation.isCPUModelEnabled());
+            this.controls.setTimeline(simulation.getHistory());
+        });
+
+        // Rewound or fast-forwarded through the history
+        this.simulation.on('onHistorySeek', () => {
+            this.rebuildScene();
+        });
+
+        // Load control suspended / resumed a process
+        this.simulation.on('onProcessSuspended', ({ process, reason }) => {
+            eventLog.logProcessSuspended(process, reason);
+            pageRenderer.setProcessSuspended(process.id, true);
+            quotaPanel.update(simulation.getStats());
+        });
+
+        this.simulation.on('onProcessResumed', ({ process, reason }) => {
+            eventLog.logProcessResumed(process, reason);
+            pageRenderer.setProcessSuspended(process.id, false);
+            quotaPanel.update(simulation.getStats());
+        });
+
+        // OOM killer terminated a process and freed its memory
+        this.simulation.on('onProcessKilled', ({ process, reason, frames, blocks }) => {
+            eventLog.logProcessKilled(process, reason, frames, blocks);
+            frames.forEach(frameId => this.ramVisualizer.clearPageMesh(frameId));
+            blocks.forEach(blockId => diskVisualizer.clearPageMesh(blockId));
+            process.pages.forEach(page => pageRenderer.animateKill(page.id));
+            quotaPanel.update(simulation.getStats());
         });
 
         // Process added
-        this.simulation.on('onProcessAdded', (process) => {
+        this.simulation.on('onProcessAdded', ({ process }) => {
             eventLog.logProcessAdded(process);
+            quotaPanel.update(simulation.getStats());
+            this.controls.setTimeline(simulation.getHistory());
         });
     }
 
+    /**
+     * Show the tooltip for a hovered page, frame slot or disk block
+     */
+    showTooltip(target, x, y) {
+        let page = null;
+        if (target && target.isPage) {
+            page = this.simulation.allPages.get(target.pageId);
+        } else if (target && target.frameId !== undefined) {
+            const frame = this.simulation.frames[target.frameId];
+            page = frame ? frame.page : null;
+        } else if (target && target.blockId !== undefined) {
+            const block = this.simulation.swapSystem.blocks[target.blockId];
+            page = block ? block.page : null;
+        }
+
+        if (!page) {
+            this.frameTooltip.hide();
+            return;
+        }
+
+        const details = {};
+        if (this.simulation.policy.getName() === 'Aging' && page.location === 'ram') {
+            // Rank 1 = next victim, compare the approximation with exact LRU
+            const resident = this.simulation.getResidentPages();
+            const byAging = [...resident].sort(Aging.compare);
+            const byRecency = [...resident].sort((a, b) => a.lastAccessTime - b.lastAccessTime);
+
+            details.agingCounter = page.agingCounter;
+            details.agingRank = byAging.indexOf(page) + 1;
+            details.lruRank = byRecency.indexOf(page) + 1;
+            details.residentCount = resident.length;
+        }
+
+        this.frameTooltip.showPage(page, details, x, y);
+    }
+
     /**
      * Apply new configuration
      */
@@ -235,7 +341,20 @@ class ThrashingVisualizer {
         // Clear page renderer
         this.pageRenderer.clear();
 
+        // Clock hand only for policies that sweep frames
+        const hand = this.simulation.policy.getClockHand();
+        this.ramVisualizer.setClockHandVisible(hand !== null);
+        this.ramVisualizer.setClockHand(hand || 0);
+
         this.eventLog.log(`Configuration applied: ${config.ramFrames} frames, ${config.swapBlocks} blocks, ${config.policy}`, 'success');
+        this.controls.setConfig({ seed: this.simulation.seed });
+        this.quotaPanel.update(this.simulation.getStats());
+
+        // Seeded policies log their seed so the run can be reproduced
+        const policyStats = this.simulation.policy.getStats();
+        if (policyStats && policyStats.seed !== undefined) {
+            this.eventLog.logPolicySeed(this.simulation.policy.getName(), policyStats.seed);
+        }
     }
 
     /**
@@ -265,11 +384,15 @@ class ThrashingVisualizer {
         // Load scenario into simulation
         this.simulation.loadScenario(scenario);
 
-        // Update controls
+        // Update controls, showing the seed actually used
         this.controls.setConfig(scenario.config);
+        this.controls.setConfig({ seed: this.simulation.seed });
+
+        this.controls.setTimeline(this.simulation.getHistory());
 
         // Log
         this.eventLog.logScenarioLoaded(scenario);
+        this.eventLog.logRunSeed(this.simulation.seed);
 
         return this;
     }
@@ -302,6 +425,25 @@ class ThrashingVisualizer {
         return this;
     }
 
+    /**
+     * Undo the last step (pauses playback)
+     */
+    stepBack() {
+        this.simulation.stepBack();
+        this.controls.setPlaying(false);
+        return this;
+    }
+
+    /**
+     * Jump to a recorded step (pauses playback)
+     * @param {number} step - Between the first and last recorded step
+     */
+    seek(step) {
+        this.simulation.seek(step);
+        this.controls.setPlaying(false);
+        return this;
+    }
+
     /**
      * Reset simulation
      */
@@ -310,12 +452,105 @@ class ThrashingVisualizer {
         this.pageRenderer.clear();
         this.effectsManager.deactivateThrashing();
         this.kpiDashboard.reset();
+        this.quotaPanel.reset();
+        this.utilizationChart.reset();
         this.activityPanel.reset();
+        this.ramVisualizer.setClockHand(0);
         this.controls.setPlaying(false);
+        this.controls.setTimeline(this.simulation.getHistory());
         this.eventLog.logSimulationReset();
         return this;
     }
 
+    /**
+     * Download the complete simulation state as a JSON file
+     * @returns {Object} - The snapshot
+     */
+    saveSnapshot() {
+        const snapshot = this.simulation.serialize();
+        const blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `thrashing-snapshot-t${snapshot.simulationTime}.json`;
+        link.click();
+        // Revoking right away can cancel the download before it starts
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+
+        this.eventLog.logSnapshot('saved', snapshot);
+        return snapshot;
+    }
+
+    /**
+     * Resume a saved simulation; the scene is rebuilt in place without animations
+     * A snapshot that fails to load leaves the current simulation untouched
+     * @param {Object} snapshot - From SimulationEngine.serialize()
+     * @throws {Error} If the snapshot cannot be restored
+     */
+    restoreSnapshot(snapshot) {
+        new SimulationEngine().restore(snapshot);
+
+        this.reset();
+        this.simulation.restore(snapshot);
+        this.rebuildScene();
+        this.eventLog.logSnapshot('restored', snapshot);
+        return this;
+    }
+
+    /**
+     * Recreate every page mesh and panel from the current engine state
+     */
+    rebuildScene() {
+        const simulation = this.simulation;
+        const config = simulation.config;
+
+        this.pageRenderer.clear();
+        this.ramVisualizer.resize(config.ramFrames);
+        this.diskVisualizer.resize(config.swapBlocks);
+
+        simulation.frames
+            .filter(frame => frame.page)
+            .forEach(frame => this.pageRenderer.addPageToRAM(frame.page, frame, false));
+        simulation.swapSystem.blocks
+            .filter(block => block.page && block.page.location === 'disk')
+            .forEach(block => this.pageRenderer.addPageToDisk(block.page, block, false));
+        simulation.processes
+            .filter(process => process.isSuspended())
+            .forEach(process => this.pageRenderer.setProcessSuspended(process.id, true));
+
+        // Clock hand only for policies that sweep frames
+        const hand = simulation.policy.getClockHand();
+        this.ramVisualizer.setClockHandVisible(hand !== null);
+        this.ramVisualizer.setClockHand(hand || 0);
+
+        if (simulation.isThrashing) {
+            this.effectsManager.activateThrashing();
+        } else {
+            this.effectsManager.deactivateThrashing();
+        }
+        this.activityPanel.reset();
+
+        const stats = simulation.getStats();
+        this.kpiDashboard.update(stats);
+        this.quotaPanel.update(stats);
+        this.utilizationChart.update(stats, simulation.isCPUModelEnabled());
+        this.controls.setConfig(config);
+        this.controls.setConfig({ seed: simulation.seed });
+        this.controls.setTimeline(simulation.getHistory());
+    }
+
+    /**
+     * Register a page replacement policy and add it to the policy dropdown
+     * @param {string} name - Policy key used in configs
+     * @param {Function} factory - (engine) => PolicyInterface instance
+     * @param {Object} metadata - { label, reason, explanation }
+     */
+    registerPolicy(name, factory, metadata = {}) {
+        registerPolicy(name, factory, metadata);
+        this.controls.refreshPolicyOptions();
+        return this;
+    }
+
     /**
      * Get current statistics
      */
@@ -359,7 +594,13 @@ document.addEventListener('DOMContentLoaded', () => {
     window.play = () => visualizer.play();
     window.pause = () => visualizer.pause();
     window.step = () => visualizer.step();
+    window.stepBack = () => visualizer.stepBack();
+    window.seek = (step) => visualizer.seek(step);
     window.reset = () => visualizer.reset();
+    window.addPolicy = (name, factory, metadata) => visualizer.registerPolicy(name, factory, metadata);
+    window.subscribe = (event, callback) => visualizer.simulation.on(event, callback);
+    window.saveSnapshot = () => visualizer.saveSnapshot();
+    window.restoreSnapshot = (snapshot) => visualizer.restoreSnapshot(snapshot);
 
     console.log('=================================');
     console.log('Thrashing 3D Visualizer Ready!');
@@ -368,7 +609,10 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('  loadScenario("light"|"balanced"|"heavy")');
     console.log('  play()');
     console.log('  pause()');
-    console.log('  step()');
+    console.log('  step() / stepBack() / seek(step)');
     console.log('  reset()');
+    console.log('  addPolicy(name, factory, { label, reason, explanation })');
+    console.log('  subscribe(event | "*", callback) - returns unsubscribe()');
+    console.log('  saveSnapshot() / restoreSnapshot(snapshot)');
     console.log('=================================');
 });
@@ -0,0 +1,187 @@
+/**
+ * ARC - Adaptive Replacement Cache page replacement policy
+ * T1 holds pages seen once recently, T2 pages seen at least twice.
+ * B1/B2 are ghost lists remembering pages recently evicted from T1/T2.
+ * A hit in a ghost list moves the target size p of T1 towards the list that
+ * would have kept the page, so ARC adapts between recency and frequency.
+ * Each list is a Map in LRU order (first key = least recent).
+ */
+class ARC extends PolicyInterface {
+    /**
+     * @param {number} capacity - Number of RAM frames (c)
+     */
+    constructor(capacity) {
+        super('ARC');
+        this.capacity = capacity;
+        this.p = 0;                 // Target size of T1
+
+        this.t1 = new Map();        // Resident, referenced once
+        this.t2 = new Map();        // Resident, referenced at least twice
+        this.b1 = new Map();        // Ghosts evicted from T1
+        this.b2 = new Map();        // Ghosts evicted from T2
+
+        this.faultGhost = null;     // Ghost list hit by the current fault ('b1' | 'b2' | null)
+    }
+
+    /**
+     * Adapt p when the faulting page is found in a ghost list
+     */
+    onPageFault(page, timestamp) {
+        this.faultGhost = null;
+
+        if (this.b1.has(page.id)) {
+            // T1 was too small - grow its target
+            const delta = this.b1.size >= this.b2.size ? 1 : this.b2.size / this.b1.size;
+            this.p = Math.min(this.capacity, this.p + delta);
+            this.faultGhost = 'b1';
+        } else if (this.b2.has(page.id)) {
+            // T2 was too small - shrink T1's target
+            const delta = this.b2.size >= this.b1.size ? 1 : this.b1.size / this.b2.size;
+            this.p = Math.max(0, this.p - delta);
+            this.faultGhost = 'b2';
+        }
+    }
+
+    /**
+     * REPLACE: evict the LRU page of T1 if T1 exceeds its target, else of T2
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        const candidates = new Set(ramPages.map(page => page.id));
+        const preferT1 = this.t1.size > 0 && (
+            this.t1.size > this.p ||
+            (this.faultGhost === 'b2' && this.t1.size === Math.floor(this.p))
+        );
+        const lists = preferT1 ? [this.t1, this.t2] : [this.t2, this.t1];
+
+        for (const list of lists) {
+            for (const page of list.values()) {
+                if (candidates.has(page.id)) {
+                    return page;
+                }
+            }
+        }
+
+        // Page not tracked by ARC (e.g. loaded before the policy was selected)
+        return ramPages[0];
+    }
+
+    /**
+     * Move the evicted page to the matching ghost list
+     */
+    onEvict(page) {
+        if (this.t1.delete(page.id)) {
+            this.b1.set(page.id, page);
+        } else if (this.t2.delete(page.id)) {
+            this.b2.set(page.id, page);
+        }
+        this.trimGhosts();
+    }
+
+    /**
+     * A discarded page is forgotten, ghosts included
+     */
+    onPageFree(page) {
+        this.t1.delete(page.id);
+        this.t2.delete(page.id);
+        this.b1.delete(page.id);
+        this.b2.delete(page.id);
+    }
+
+    /**
+     * New pages enter T1, pages remembered by a ghost list go to T2
+     */
+    onPageLoad(page, timestamp) {
+        if (this.b1.delete(page.id) || this.b2.delete(page.id)) {
+            this.t2.set(page.id, page);
+        } else {
+            this.t1.set(page.id, page);
+        }
+        this.faultGhost = null;
+        this.trimGhosts();
+    }
+
+    /**
+     * A hit promotes the page to the MRU end of T2
+     */
+    onPageAccess(page, timestamp) {
+        super.onPageAccess(page, timestamp);
+
+        if (this.t1.delete(page.id) || this.t2.delete(page.id)) {
+            this.t2.set(page.id, page);
+        }
+    }
+
+    /**
+     * Keep |T1| + |B1| <= c and the directory size <= 2c
+     */
+    trimGhosts() {
+        while (this.t1.size + this.b1.size > this.capacity && this.b1.size > 0) {
+            this.b1.delete(this.b1.keys().next().value);
+        }
+        while (this.t1.size + this.t2.size + this.b1.size + this.b2.size > 2 * this.capacity &&
+            this.b2.size > 0) {
+            this.b2.delete(this.b2.keys().next().value);
+        }
+    }
+
+    /**
+     * List sizes and adaptive target for plotting
+     */
+    getStats() {
+        return {
+            p: this.p,
+            capacity: this.capacity,
+            t1: this.t1.size,
+            t2: this.t2.size,
+            b1: this.b1.size,
+            b2: this.b2.size
+        };
+    }
+
+    getDescription() {
+        return 'Adaptive Replacement Cache - Balances recency (T1) and frequency (T2) using ghost lists';
+    }
+
+    serialize() {
+        return {
+            p: this.p,
+            t1: Array.from(this.t1.keys()),
+            t2: Array.from(this.t2.keys()),
+            b1: Array.from(this.b1.keys()),
+            b2: Array.from(this.b2.keys()),
+            faultGhost: this.faultGhost
+        };
+    }
+
+    restore(state, pages) {
+        this.p = state.p;
+        this.t1 = PolicyInterface.toPageMap(state.t1, pages);
+        this.t2 = PolicyInterface.toPageMap(state.t2, pages);
+        this.b1 = PolicyInterface.toPageMap(state.b1, pages);
+        this.b2 = PolicyInterface.toPageMap(state.b2, pages);
+        this.faultGhost = state.faultGhost;
+    }
+
+    reset() {
+        this.p = 0;
+        this.t1.clear();
+        this.t2.clear();
+        this.b1.clear();
+        this.b2.clear();
+        this.faultGhost = null;
+    }
+}
+
+// Register with the policy registry
+registerPolicy('ARC', (engine) => new ARC(engine.config.ramFrames), {
+    label: 'ARC',
+    reason: 'Adaptive Replacement Cache',
+    explanation: 'Adaptive Replacement Cache: LRU page of the recency (T1) or frequency (T2) list is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ARC = ARC;
+}
@@ -0,0 +1,99 @@
+/**
+ * Aging - Software approximation of LRU
+ * Every timer tick each resident page's 8-bit counter is shifted right and its
+ * reference bit is shifted in at the top, then the reference bit is cleared.
+ * The page with the smallest counter was used least recently (approximately).
+ */
+class Aging extends PolicyInterface {
+    /**
+     * @param {Object} options
+     * @param {number} options.tickInterval - Steps between counter shifts
+     */
+    constructor(options = {}) {
+        super('Aging');
+        this.tickInterval = Math.max(1, options.tickInterval || 1);
+        this.ticks = 0;
+        this.pages = new Map();  // pageId -> Page, resident pages
+    }
+
+    /**
+     * Select the page with the smallest counter
+     * Ties go to an unreferenced page, then to the oldest load
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        let victim = ramPages[0];
+        for (const page of ramPages) {
+            if (Aging.compare(page, victim) < 0) {
+                victim = page;
+            }
+        }
+        return victim;
+    }
+
+    /**
+     * Order pages from best to worst victim
+     */
+    static compare(a, b) {
+        if (a.agingCounter !== b.agingCounter) return a.agingCounter - b.agingCounter;
+        if (a.referenceBit !== b.referenceBit) return a.referenceBit - b.referenceBit;
+        return a.loadTime - b.loadTime;
+    }
+
+    /**
+     * A new page starts with an empty counter
+     */
+    onPageLoad(page, timestamp) {
+        page.agingCounter = 0;
+        this.pages.set(page.id, page);
+    }
+
+    onEvict(page) {
+        page.agingCounter = 0;
+        this.pages.delete(page.id);
+    }
+
+    /**
+     * Shift reference bits into the counters on every timer tick
+     */
+    onTick(timestamp) {
+        this.ticks++;
+        if (this.ticks % this.tickInterval !== 0) return;
+
+        this.pages.forEach(page => {
+            page.agingCounter = (page.agingCounter >> 1) | (page.referenceBit << 7);
+            page.referenceBit = 0;
+        });
+    }
+
+    getDescription() {
+        return 'Aging - Shifts reference bits into 8-bit counters each tick, evicts the smallest counter';
+    }
+
+    serialize() {
+        return { ticks: this.ticks, pages: Array.from(this.pages.keys()) };
+    }
+
+    restore(state, pages) {
+        this.ticks = state.ticks;
+        this.pages = PolicyInterface.toPageMap(state.pages, pages);
+    }
+
+    reset() {
+        this.ticks = 0;
+        this.pages.clear();
+    }
+}
+
+// Register with the policy registry
+registerPolicy('AGING', (engine) => new Aging({ tickInterval: engine.config.agingTickInterval }), {
+    label: 'Aging',
+    reason: 'Aging (approximate LRU)',
+    explanation: 'Aging: Page with the smallest 8-bit reference counter is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.Aging = Aging;
+}
@@ -0,0 +1,97 @@
+/**
+ * Clock - Second-Chance page replacement policy
+ * A hand sweeps over the frames in a circle. Pages with the reference bit set
+ * get a second chance (bit cleared), the first page found without it is evicted
+ */
+class Clock extends PolicyInterface {
+    constructor() {
+        super('Clock');
+        this.hand = 0;          // Frame ID the hand points at
+        this.lastSweep = null;  // Frames visited during the last selection
+    }
+
+    /**
+     * Advance the hand until a page with referenceBit = 0 is found
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        // Frames in circular order, starting at the hand
+        const ordered = [...ramPages].sort((a, b) => a.frameId - b.frameId);
+        let index = ordered.findIndex(page => page.frameId >= this.hand);
+        if (index === -1) index = 0;
+
+        const start = ordered[index].frameId;
+        const visited = [];
+        let victim = null;
+
+        // Two full turns at most: the first one clears every bit
+        for (let i = 0; i < ordered.length * 2 && !victim; i++) {
+            const page = ordered[index];
+
+            if (page.referenceBit) {
+                // Second chance
+                page.referenceBit = 0;
+                visited.push({ frameId: page.frameId, cleared: true });
+                index = (index + 1) % ordered.length;
+            } else {
+                victim = page;
+                visited.push({ frameId: page.frameId, cleared: false });
+            }
+        }
+
+        // The new page is loaded into the victim's frame, hand moves past it
+        this.hand = victim.frameId + 1;
+        this.lastSweep = {
+            start,
+            visited,
+            victimFrameId: victim.frameId,
+            hand: this.hand
+        };
+
+        return victim;
+    }
+
+    /**
+     * Get the frames visited during the last victim selection
+     */
+    getLastSweep() {
+        return this.lastSweep;
+    }
+
+    /**
+     * Get the frame ID the hand points at
+     */
+    getClockHand() {
+        return this.hand;
+    }
+
+    getDescription() {
+        return 'Clock (Second Chance) - Sweeps a hand over frames, skipping pages with the reference bit set';
+    }
+
+    serialize() {
+        return { hand: this.hand };
+    }
+
+    restore(state) {
+        this.hand = state.hand;
+    }
+
+    reset() {
+        this.hand = 0;
+        this.lastSweep = null;
+    }
+}
+
+// Register with the policy registry
+registerPolicy('CLOCK', () => new Clock(), {
+    label: 'Clock (Second Chance)',
+    reason: 'Second Chance',
+    explanation: 'Clock: Referenced pages get a second chance, first unreferenced page is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.Clock = Clock;
+}
@@ -0,0 +1,132 @@
+/**
+ * EnhancedClock - Enhanced Second-Chance (NRU) page replacement policy
+ * Sorts pages into four classes by (referenceBit, modifiedBit):
+ *   0 = (0, 0) not referenced, clean     - best victim
+ *   1 = (0, 1) not referenced, dirty     - needs write-back
+ *   2 = (1, 0) referenced, clean
+ *   3 = (1, 1) referenced, dirty         - worst victim
+ * The hand sweeps looking for the lowest non-empty class
+ */
+class EnhancedClock extends PolicyInterface {
+    constructor() {
+        super('Enhanced Clock');
+        this.hand = 0;              // Frame ID the hand points at
+        this.lastSweep = null;      // Frames visited during the last selection
+        this.lastVictimClass = null;
+    }
+
+    /**
+     * Get the (reference, modified) class of a page
+     */
+    static getPageClass(page) {
+        return (page.referenceBit ? 2 : 0) + (page.modifiedBit ? 1 : 0);
+    }
+
+    /**
+     * Sweep for a class 0 page, then a class 1 page while clearing reference bits,
+     * and repeat once more - by then every bit is clear and a victim must exist
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        // Frames in circular order, starting at the hand
+        const ordered = [...ramPages].sort((a, b) => a.frameId - b.frameId);
+        let startIndex = ordered.findIndex(page => page.frameId >= this.hand);
+        if (startIndex === -1) startIndex = 0;
+
+        // Remember the classes before any bit is cleared
+        const originalClasses = new Map();
+        ordered.forEach(page => originalClasses.set(page.id, EnhancedClock.getPageClass(page)));
+
+        const visited = [];
+        let victim = null;
+
+        for (let round = 0; round < 2 && !victim; round++) {
+            // Pass 1: look for (0, 0), leave bits untouched
+            victim = this.scan(ordered, startIndex, visited, (page) => !page.referenceBit && !page.modifiedBit, false);
+
+            // Pass 2: look for (0, 1), clearing reference bits along the way
+            if (!victim) {
+                victim = this.scan(ordered, startIndex, visited, (page) => !page.referenceBit && page.modifiedBit, true);
+            }
+        }
+
+        this.hand = victim.frameId + 1;
+        this.lastVictimClass = originalClasses.get(victim.id);
+        this.lastSweep = {
+            start: ordered[startIndex].frameId,
+            visited,
+            victimFrameId: victim.frameId,
+            hand: this.hand
+        };
+
+        return victim;
+    }
+
+    /**
+     * One full turn of the hand
+     */
+    scan(ordered, startIndex, visited, matches, clearReference) {
+        for (let i = 0; i < ordered.length; i++) {
+            const page = ordered[(startIndex + i) % ordered.length];
+
+            if (matches(page)) {
+                visited.push({ frameId: page.frameId, cleared: false });
+                return page;
+            }
+
+            const cleared = clearReference && page.referenceBit === 1;
+            if (cleared) {
+                page.referenceBit = 0;
+            }
+            visited.push({ frameId: page.frameId, cleared });
+        }
+        return null;
+    }
+
+    /**
+     * Get the class the last victim was taken from
+     */
+    getLastVictimClass() {
+        return this.lastVictimClass;
+    }
+
+    getLastSweep() {
+        return this.lastSweep;
+    }
+
+    getClockHand() {
+        return this.hand;
+    }
+
+    getDescription() {
+        return 'Enhanced Clock (NRU) - Prefers unreferenced, clean pages using (reference, modified) classes';
+    }
+
+    serialize() {
+        return { hand: this.hand, lastVictimClass: this.lastVictimClass };
+    }
+
+    restore(state) {
+        this.hand = state.hand;
+        this.lastVictimClass = state.lastVictimClass;
+    }
+
+    reset() {
+        this.hand = 0;
+        this.lastSweep = null;
+        this.lastVictimClass = null;
+    }
+}
+
+// Register with the policy registry
+registerPolicy('NRU', () => new EnhancedClock(), {
+    label: 'Enhanced Clock (NRU)',
+    reason: 'Not Recently Used',
+    explanation: 'Enhanced Clock (NRU): Lowest (reference, modified) class is selected, clean before dirty'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.EnhancedClock = EnhancedClock;
+}
@@ -51,11 +51,26 @@ class FIFO extends PolicyInterface {
         return 'First In First Out - Evicts the oldest page in memory';
     }
 
+    serialize() {
+        return { queue: [...this.queue] };
+    }
+
+    restore(state) {
+        this.queue = [...state.queue];
+    }
+
     reset() {
         this.queue = [];
     }
 }
 
+// Register with the policy registry
+registerPolicy('FIFO', () => new FIFO(), {
+    label: 'FIFO',
+    reason: 'First-In-First-Out',
+    explanation: 'First-In-First-Out: Oldest page in RAM is selected'
+});
+
 // Export for browser
 if (typeof window !== 'undefined') {
     window.FIFO = FIFO;
@@ -0,0 +1,91 @@
+/**
+ * LFU - Least Frequently Used page replacement policy
+ * Evicts the page with the lowest Page.accessCount
+ * Counters are halved every decayInterval ticks so old popularity fades
+ */
+class LFU extends PolicyInterface {
+    /**
+     * @param {Object} options
+     * @param {number} options.decayInterval - Ticks between halving counters (0 = never)
+     */
+    constructor(options = {}, name = 'LFU') {
+        super(name);
+        this.decayInterval = options.decayInterval !== undefined ? options.decayInterval : 20;
+        this.ticks = 0;
+        this.pages = new Map();  // pageId -> Page, every page seen by the policy
+    }
+
+    /**
+     * Select the page with the lowest count (oldest load breaks ties)
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        let victim = ramPages[0];
+        for (const page of ramPages) {
+            if (this.isBetterVictim(page, victim)) {
+                victim = page;
+            }
+        }
+        return victim;
+    }
+
+    /**
+     * Compare two candidates by access count
+     */
+    isBetterVictim(page, current) {
+        if (page.accessCount !== current.accessCount) {
+            return page.accessCount < current.accessCount;
+        }
+        return page.loadTime < current.loadTime;
+    }
+
+    /**
+     * Track pages so their counters can be aged
+     */
+    onPageLoad(page, timestamp) {
+        this.pages.set(page.id, page);
+    }
+
+    /**
+     * Age counters every decayInterval ticks
+     */
+    onTick(timestamp) {
+        this.ticks++;
+        if (this.decayInterval > 0 && this.ticks % this.decayInterval === 0) {
+            this.pages.forEach(page => {
+                page.accessCount = Math.floor(page.accessCount / 2);
+            });
+        }
+    }
+
+    getDescription() {
+        return 'Least Frequently Used - Evicts the page with the fewest (aged) accesses';
+    }
+
+    serialize() {
+        return { ticks: this.ticks, pages: Array.from(this.pages.keys()) };
+    }
+
+    restore(state, pages) {
+        this.ticks = state.ticks;
+        this.pages = PolicyInterface.toPageMap(state.pages, pages);
+    }
+
+    reset() {
+        this.ticks = 0;
+        this.pages.clear();
+    }
+}
+
+// Register with the policy registry
+registerPolicy('LFU', (engine) => new LFU({ decayInterval: engine.config.counterDecayInterval }), {
+    label: 'LFU',
+    reason: 'Least Frequently Used',
+    explanation: 'Least Frequently Used: Page with the lowest aged access count is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.LFU = LFU;
+}
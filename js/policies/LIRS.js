@@ -0,0 +1,211 @@
+/**
+ * LIRS - Low Inter-reference Recency Set page replacement policy (Jiang & Zhang)
+ * Pages with a short inter-reference recency (IRR) hold LIR status and are never
+ * evicted directly. A small share of frames holds resident HIR pages in queue Q,
+ * and victims always come from the front of Q.
+ *
+ * Stack S orders LIR pages, resident HIR pages and non-resident HIR pages by
+ * recency (first key = bottom). A HIR page referenced again while still in S
+ * has a smaller IRR than the bottom LIR page, so the two swap status.
+ */
+class LIRS extends PolicyInterface {
+    /**
+     * @param {number} capacity - Number of RAM frames
+     */
+    constructor(capacity) {
+        super('LIRS');
+        this.capacity = capacity;
+        this.hirCapacity = Math.max(1, Math.round(capacity * 0.1));
+        this.lirCapacity = Math.max(1, capacity - this.hirCapacity);
+
+        this.stack = new Map();     // S: pageId -> Page, bottom first
+        this.queue = new Map();     // Q: resident HIR pages, front first
+        this.lir = new Set();       // Page IDs with LIR status
+        this.resident = new Set();  // Page IDs currently in RAM
+    }
+
+    /**
+     * Move a page to the top of S
+     */
+    pushTop(page) {
+        this.stack.delete(page.id);
+        this.stack.set(page.id, page);
+    }
+
+    /**
+     * Remove HIR entries from the bottom of S so the bottom is always LIR
+     */
+    prune() {
+        for (const id of this.stack.keys()) {
+            if (this.lir.has(id)) break;
+            this.stack.delete(id);
+        }
+    }
+
+    /**
+     * Turn the bottom LIR page into a resident HIR page at the end of Q
+     */
+    demoteBottom() {
+        const bottom = this.stack.values().next().value;
+        if (!bottom || !this.lir.has(bottom.id)) return;
+
+        this.lir.delete(bottom.id);
+        this.stack.delete(bottom.id);
+        this.queue.set(bottom.id, bottom);
+        this.prune();
+    }
+
+    /**
+     * Bound S by dropping the oldest non-resident HIR entries
+     */
+    limitStack() {
+        for (const id of this.stack.keys()) {
+            if (this.stack.size <= this.capacity * 3) break;
+            if (!this.lir.has(id) && !this.resident.has(id)) {
+                this.stack.delete(id);
+            }
+        }
+    }
+
+    /**
+     * Evict the resident HIR page at the front of Q
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        const candidates = new Set(ramPages.map(page => page.id));
+        for (const page of this.queue.values()) {
+            if (candidates.has(page.id)) {
+                return page;
+            }
+        }
+
+        // No HIR candidate - fall back to the LIR page with the largest recency
+        for (const page of this.stack.values()) {
+            if (this.lir.has(page.id) && candidates.has(page.id)) {
+                return page;
+            }
+        }
+
+        return ramPages[0];
+    }
+
+    /**
+     * A HIR victim stays in S as a non-resident entry
+     */
+    onEvict(page) {
+        this.resident.delete(page.id);
+
+        if (!this.queue.delete(page.id) && this.lir.delete(page.id)) {
+            this.stack.delete(page.id);
+            this.prune();
+        }
+    }
+
+    /**
+     * A discarded page leaves S and Q, resident or not
+     */
+    onPageFree(page) {
+        this.resident.delete(page.id);
+        this.queue.delete(page.id);
+        this.lir.delete(page.id);
+        this.stack.delete(page.id);
+        this.prune();
+    }
+
+    /**
+     * Page brought in after a miss
+     */
+    onPageLoad(page, timestamp) {
+        this.resident.add(page.id);
+
+        if (this.lir.size < this.lirCapacity) {
+            // Warm-up: the first pages fill the LIR set
+            this.lir.add(page.id);
+            this.pushTop(page);
+        } else if (this.stack.has(page.id)) {
+            // Non-resident HIR page still in S - its IRR beats the bottom LIR page
+            this.pushTop(page);
+            this.lir.add(page.id);
+            this.demoteBottom();
+        } else {
+            this.pushTop(page);
+            this.queue.set(page.id, page);
+        }
+
+        this.limitStack();
+    }
+
+    /**
+     * Hit on a resident page
+     */
+    onPageAccess(page, timestamp) {
+        super.onPageAccess(page, timestamp);
+
+        if (this.lir.has(page.id)) {
+            const wasBottom = this.stack.keys().next().value === page.id;
+            this.pushTop(page);
+            if (wasBottom) this.prune();
+        } else if (this.stack.has(page.id)) {
+            // Resident HIR page still in S becomes LIR
+            this.pushTop(page);
+            this.lir.add(page.id);
+            this.queue.delete(page.id);
+            this.demoteBottom();
+        } else {
+            // Resident HIR page outside S stays HIR, moves to the end of Q
+            this.pushTop(page);
+            this.queue.delete(page.id);
+            this.queue.set(page.id, page);
+        }
+    }
+
+    getStats() {
+        return {
+            lir: this.lir.size,
+            hirResident: this.queue.size,
+            stack: this.stack.size,
+            lirCapacity: this.lirCapacity,
+            hirCapacity: this.hirCapacity
+        };
+    }
+
+    getDescription() {
+        return 'LIRS - Keeps pages with short inter-reference recency (LIR) resident, evicts from the small HIR queue';
+    }
+
+    serialize() {
+        return {
+            stack: Array.from(this.stack.keys()),
+            queue: Array.from(this.queue.keys()),
+            lir: Array.from(this.lir),
+            resident: Array.from(this.resident)
+        };
+    }
+
+    restore(state, pages) {
+        this.stack = PolicyInterface.toPageMap(state.stack, pages);
+        this.queue = PolicyInterface.toPageMap(state.queue, pages);
+        this.lir = new Set(state.lir);
+        this.resident = new Set(state.resident);
+    }
+
+    reset() {
+        this.stack.clear();
+        this.queue.clear();
+        this.lir.clear();
+        this.resident.clear();
+    }
+}
+
+// Register with the policy registry
+registerPolicy('LIRS', (engine) => new LIRS(engine.config.ramFrames), {
+    label: 'LIRS',
+    reason: 'Low Inter-reference Recency Set',
+    explanation: 'LIRS: Front of the resident HIR queue is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.LIRS = LIRS;
+}
@@ -27,10 +27,14 @@ class LRU extends PolicyInterface {
 
     /**
      * Select the least recently used page (tail of list)
+     * Walks towards the head when the tail is not a candidate (local replacement)
      */
     selectVictim(ramPages) {
-        if (this.tail) {
-            return this.tail.page;
+        const candidates = new Set(ramPages.map(page => page.id));
+        for (let node = this.tail; node; node = node.prev) {
+            if (candidates.has(node.page.id)) {
+                return node.page;
+            }
         }
 
         // Fallback: find page with oldest access time
@@ -137,6 +141,18 @@ class LRU extends PolicyInterface {
         return 'Least Recently Used - Evicts the page not accessed for longest time';
     }
 
+    /**
+     * The list order, most recent first
+     */
+    serialize() {
+        return { order: this.getOrder() };
+    }
+
+    restore(state, pages) {
+        this.reset();
+        [...state.order].reverse().forEach(id => this.addToFront(pages.get(id)));
+    }
+
     reset() {
         this.head = null;
         this.tail = null;
@@ -157,6 +173,13 @@ class LRU extends PolicyInterface {
     }
 }
 
+// Register with the policy registry
+registerPolicy('LRU', () => new LRU(), {
+    label: 'LRU',
+    reason: 'Least Recently Used',
+    explanation: 'Least Recently Used: Page unused for longest time is selected'
+});
+
 // Export for browser
 if (typeof window !== 'undefined') {
     window.LRU = LRU;
@@ -0,0 +1,37 @@
+/**
+ * MFU - Most Frequently Used page replacement policy
+ * Evicts the page with the highest Page.accessCount, on the theory that a page
+ * with a small count was just brought in and has yet to be used
+ * Shares counter aging with LFU
+ */
+class MFU extends LFU {
+    constructor(options = {}) {
+        super(options, 'MFU');
+    }
+
+    /**
+     * Compare two candidates by access count (highest wins)
+     */
+    isBetterVictim(page, current) {
+        if (page.accessCount !== current.accessCount) {
+            return page.accessCount > current.accessCount;
+        }
+        return page.loadTime < current.loadTime;
+    }
+
+    getDescription() {
+        return 'Most Frequently Used - Evicts the page with the most (aged) accesses';
+    }
+}
+
+// Register with the policy registry
+registerPolicy('MFU', (engine) => new MFU({ decayInterval: engine.config.counterDecayInterval }), {
+    label: 'MFU',
+    reason: 'Most Frequently Used',
+    explanation: 'Most Frequently Used: Page with the highest aged access count is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.MFU = MFU;
+}
@@ -0,0 +1,61 @@
+/**
+ * OPT - Optimal (Belady's) page replacement policy
+ * Evicts the page whose next use is furthest in the future
+ * Needs the upcoming reference stream, so it serves as the ideal baseline
+ */
+class OPT extends PolicyInterface {
+    /**
+     * @param {Function} getUpcoming - Returns upcoming pages in reference order
+     */
+    constructor(getUpcoming) {
+        super('OPT');
+        this.getUpcoming = getUpcoming || (() => []);
+    }
+
+    /**
+     * Select the page referenced furthest in the future (or never)
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        // Index of the first upcoming reference for each page
+        const upcoming = this.getUpcoming();
+        const nextUse = new Map();
+        upcoming.forEach((page, index) => {
+            if (!nextUse.has(page.id)) {
+                nextUse.set(page.id, index);
+            }
+        });
+
+        let victim = null;
+        let victimDistance = -1;
+        for (const page of ramPages) {
+            const distance = nextUse.has(page.id) ? nextUse.get(page.id) : Infinity;
+
+            // Pages outside the window tie at Infinity - fall back to LRU order
+            if (distance > victimDistance ||
+                (distance === victimDistance && page.lastAccessTime < victim.lastAccessTime)) {
+                victim = page;
+                victimDistance = distance;
+            }
+        }
+
+        return victim;
+    }
+
+    getDescription() {
+        return 'Optimal (Belady) - Evicts the page whose next use is furthest in the future';
+    }
+}
+
+// Register with the policy registry
+registerPolicy('OPT', (engine) => new OPT(() => engine.workloadGenerator.peekUpcoming()), {
+    label: 'OPT (ideal)',
+    reason: 'Optimal (ideal baseline)',
+    explanation: 'Optimal (ideal baseline): Page not needed for longest time is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.OPT = OPT;
+}
@@ -33,6 +33,69 @@ class PolicyInterface {
         // Default implementation
     }
 
+    /**
+     * Called on a page fault, before a victim is selected
+     * @param {Page} page - The faulting page
+     * @param {number} timestamp - Current timestamp
+     */
+    onPageFault(page, timestamp) {
+        // Default implementation
+    }
+
+    /**
+     * Called when a page is discarded with its process (OOM kill), resident
+     * or not - the page will never be referenced again
+     * @param {Page} page - Still at its location when called
+     */
+    onPageFree(page) {
+        // Default: a resident page is simply no longer in RAM
+        if (page.location === 'ram' && this.onEvict) {
+            this.onEvict(page);
+        }
+    }
+
+    /**
+     * Called once per simulation step (timer tick)
+     * @param {number} timestamp - Current timestamp
+     */
+    onTick(timestamp) {
+        // Default implementation
+    }
+
+    /**
+     * Called after onTick: resident pages to release now, without a fault
+     * asking for a frame (working-set policies drop pages outside the window)
+     * @param {Page[]} ramPages - Pages currently in RAM
+     * @returns {Page[]}
+     */
+    getExpiredPages(ramPages) {
+        return [];
+    }
+
+    /**
+     * Get the frames visited by a clock hand during the last selection
+     * @returns {Object|null} - { start, visited, victimFrameId, hand } or null
+     */
+    getLastSweep() {
+        return null;
+    }
+
+    /**
+     * Get the (reference, modified) class the last victim came from
+     * @returns {number|null} - 0-3 for NRU-style policies, otherwise null
+     */
+    getLastVictimClass() {
+        return null;
+    }
+
+    /**
+     * Get the frame ID a clock hand points at
+     * @returns {number|null} - null for policies without a hand
+     */
+    getClockHand() {
+        return null;
+    }
+
     /**
      * Get policy name
      */
@@ -47,6 +110,39 @@ class PolicyInterface {
         return 'Base policy interface';
     }
 
+    /**
+     * Get policy internals for display (list sizes, targets, ...)
+     * @returns {Object|null}
+     */
+    getStats() {
+        return null;
+    }
+
+    /**
+     * Get the internal state as plain data for a snapshot
+     * Pages are referenced by ID
+     * @returns {Object}
+     */
+    serialize() {
+        return {};
+    }
+
+    /**
+     * Restore state produced by serialize()
+     * @param {Object} state
+     * @param {Map} pages - pageId -> Page of the restored simulation
+     */
+    restore(state, pages) {
+        // Override in subclass if needed
+    }
+
+    /**
+     * Rebuild an ordered pageId -> Page map from a list of IDs
+     */
+    static toPageMap(ids, pages) {
+        return new Map(ids.map(id => [id, pages.get(id)]));
+    }
+
     /**
      * Reset policy state
      */
@@ -0,0 +1,84 @@
+/**
+ * PolicyRegistry - Named factories for page replacement policies
+ * Each policy file registers itself; SimulationEngine, Controls and the
+ * activity panels read the registry instead of hard-coding policy names.
+ */
+const POLICY_REGISTRY = new Map();  // KEY -> { key, factory, metadata }
+
+/**
+ * Register a page replacement policy
+ * @param {string} name - Key used in configs and scenarios (case-insensitive)
+ * @param {Function} factory - (engine) => PolicyInterface instance
+ * @param {Object} metadata - Display information
+ * @param {string} metadata.label - Text in the policy dropdown
+ * @param {string} metadata.reason - Short victim reason for the swap-out card
+ * @param {string|Function} metadata.explanation - Victim explanation, or (policy) => string
+ */
+function registerPolicy(name, factory, metadata = {}) {
+    if (typeof factory !== 'function') {
+        throw new Error(`Policy ${name}: factory must be a function`);
+    }
+
+    const key = name.toUpperCase();
+    POLICY_REGISTRY.set(key, {
+        key,
+        factory,
+        metadata: {
+            label: metadata.label || name,
+            reason: metadata.reason || '',
+            explanation: metadata.explanation || ''
+        }
+    });
+}
+
+/**
+ * Get a registry entry by name
+ * @returns {Object|null} - { key, factory, metadata } or null if unknown
+ */
+function getPolicyEntry(name) {
+    return POLICY_REGISTRY.get(String(name).toUpperCase()) || null;
+}
+
+/**
+ * Get all registered policies in registration order
+ * @returns {Object[]} - [{ key, label, reason, explanation }]
+ */
+function getRegisteredPolicies() {
+    return Array.from(POLICY_REGISTRY.values()).map(entry => ({
+        key: entry.key,
+        ...entry.metadata
+    }));
+}
+
+/**
+ * Get a registered policy, or throw naming the registered ones
+ * @param {string} name - Registered policy name
+ * @throws {Error} If no policy is registered under that name
+ */
+function requirePolicyEntry(name) {
+    const entry = getPolicyEntry(name);
+    if (!entry) {
+        const known = Array.from(POLICY_REGISTRY.keys()).join(', ');
+        throw new Error(`Unknown policy "${name}". Registered policies: ${known}`);
+    }
+    return entry;
+}
+
+/**
+ * Create a policy instance
+ * @param {string} name - Registered policy name
+ * @param {SimulationEngine} engine - Engine the policy will run in
+ */
+function createPolicy(name, engine) {
+    return requirePolicyEntry(name).factory(engine);
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.POLICY_REGISTRY = POLICY_REGISTRY;
+    window.registerPolicy = registerPolicy;
+    window.getPolicyEntry = getPolicyEntry;
+    window.requirePolicyEntry = requirePolicyEntry;
+    window.getRegisteredPolicies = getRegisteredPolicies;
+    window.createPolicy = createPolicy;
+}
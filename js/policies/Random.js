@@ -0,0 +1,70 @@
+/**
+ * Random - Random page replacement policy
+ * Evicts a uniformly random resident page. Serves as a sanity baseline:
+ * a useful policy should beat it. Seeded, so a run can be reproduced.
+ */
+class Random extends PolicyInterface {
+    /**
+     * @param {number} seed - Seed for the victim generator
+     */
+    constructor(seed) {
+        super('Random');
+        this.rng = new SeededRandom(seed);
+        this.seed = this.rng.seed;
+    }
+
+    /**
+     * Select a random page
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        // Frame order keeps the choice independent of how ramPages was built
+        const ordered = [...ramPages].sort((a, b) => a.frameId - b.frameId);
+        return ordered[this.rng.nextInt(ordered.length)];
+    }
+
+    getStats() {
+        return {
+            seed: this.seed
+        };
+    }
+
+    getDescription() {
+        return 'Random - Evicts a random page (seeded, reproducible baseline)';
+    }
+
+    /**
+     * Seed and position in the sequence, so a restored run continues it
+     */
+    serialize() {
+        return { seed: this.seed, rngState: this.rng.getState() };
+    }
+
+    restore(state) {
+        this.seed = state.seed;
+        this.rng.setSeed(state.seed);
+        this.rng.setState(state.rngState);
+    }
+
+    /**
+     * Restart the sequence so a reset run repeats the same choices
+     */
+    reset() {
+        this.rng.setSeed(this.seed);
+    }
+}
+
+// Register with the policy registry
+registerPolicy('RANDOM', (engine) => new Random(engine.config.policySeed !== null
+    ? engine.config.policySeed
+    : engine.deriveSeed(1)), {
+    label: 'Random',
+    reason: 'Random (seeded)',
+    explanation: 'Random: A random resident page is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.Random = Random;
+}
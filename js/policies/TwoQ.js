@@ -0,0 +1,135 @@
+/**
+ * TwoQ - 2Q page replacement policy (Johnson & Shasha)
+ * New pages enter the FIFO queue A1in. Pages evicted from A1in are remembered
+ * in the ghost queue A1out; only a page re-referenced while in A1out is
+ * promoted to the LRU queue Am. A one-time scan therefore never pollutes Am.
+ * Each queue is a Map in insertion order (first key = oldest / least recent).
+ */
+class TwoQ extends PolicyInterface {
+    /**
+     * @param {number} capacity - Number of RAM frames
+     */
+    constructor(capacity) {
+        super('2Q');
+        this.capacity = capacity;
+        this.kin = Math.max(1, Math.round(capacity * 0.25));   // A1in target size
+        this.kout = Math.max(1, Math.round(capacity * 0.5));   // A1out ghost size
+
+        this.a1in = new Map();      // Resident, seen once (FIFO)
+        this.a1out = new Map();     // Ghosts evicted from A1in (FIFO)
+        this.am = new Map();        // Resident, re-referenced (LRU)
+    }
+
+    /**
+     * Reclaim from A1in while it exceeds Kin, otherwise from the LRU end of Am
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        const candidates = new Set(ramPages.map(page => page.id));
+        const lists = this.a1in.size > this.kin || this.am.size === 0
+            ? [this.a1in, this.am]
+            : [this.am, this.a1in];
+
+        for (const list of lists) {
+            for (const page of list.values()) {
+                if (candidates.has(page.id)) {
+                    return page;
+                }
+            }
+        }
+
+        return ramPages[0];
+    }
+
+    /**
+     * Pages leaving A1in are remembered in A1out, pages leaving Am are forgotten
+     */
+    onEvict(page) {
+        if (this.a1in.delete(page.id)) {
+            this.a1out.set(page.id, page);
+            while (this.a1out.size > this.kout) {
+                this.a1out.delete(this.a1out.keys().next().value);
+            }
+        } else {
+            this.am.delete(page.id);
+        }
+    }
+
+    /**
+     * A discarded page leaves every queue, A1out included
+     */
+    onPageFree(page) {
+        this.a1in.delete(page.id);
+        this.a1out.delete(page.id);
+        this.am.delete(page.id);
+    }
+
+    /**
+     * A page found in A1out is hot - load it into Am, otherwise into A1in
+     */
+    onPageLoad(page, timestamp) {
+        if (this.a1out.delete(page.id)) {
+            this.am.set(page.id, page);
+        } else {
+            this.a1in.set(page.id, page);
+        }
+    }
+
+    /**
+     * Hits in Am refresh recency, hits in A1in are ignored (correlated references)
+     */
+    onPageAccess(page, timestamp) {
+        super.onPageAccess(page, timestamp);
+
+        if (this.am.delete(page.id)) {
+            this.am.set(page.id, page);
+        }
+    }
+
+    getStats() {
+        return {
+            a1in: this.a1in.size,
+            a1out: this.a1out.size,
+            am: this.am.size,
+            kin: this.kin,
+            kout: this.kout
+        };
+    }
+
+    getDescription() {
+        return '2Q - New pages wait in a FIFO queue (A1in), only pages re-referenced after leaving it join the LRU queue (Am)';
+    }
+
+    serialize() {
+        return {
+            a1in: Array.from(this.a1in.keys()),
+            a1out: Array.from(this.a1out.keys()),
+            am: Array.from(this.am.keys())
+        };
+    }
+
+    restore(state, pages) {
+        this.a1in = PolicyInterface.toPageMap(state.a1in, pages);
+        this.a1out = PolicyInterface.toPageMap(state.a1out, pages);
+        this.am = PolicyInterface.toPageMap(state.am, pages);
+    }
+
+    reset() {
+        this.a1in.clear();
+        this.a1out.clear();
+        this.am.clear();
+    }
+}
+
+// Register with the policy registry
+registerPolicy('2Q', (engine) => new TwoQ(engine.config.ramFrames), {
+    label: '2Q',
+    reason: 'Two Queue',
+    explanation: '2Q: Oldest page of A1in while it is over its target, otherwise the LRU page of Am'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.TwoQ = TwoQ;
+}
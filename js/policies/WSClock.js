@@ -0,0 +1,112 @@
+/**
+ * WSClock - Working-Set Clock page replacement policy
+ * A clock hand sweeps over the frames. Referenced pages get their bit cleared,
+ * unreferenced pages older than tau are evicted if clean. Old dirty pages would
+ * have a write scheduled, so the hand moves on and claims one only if no clean
+ * page is found during a full turn.
+ */
+class WSClock extends WorkingSet {
+    constructor(options = {}) {
+        super(options, 'WSClock');
+        this.hand = 0;          // Frame ID the hand points at
+        this.lastSweep = null;  // Frames visited during the last selection
+    }
+
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        // Frames in circular order, starting at the hand
+        const ordered = [...ramPages].sort((a, b) => a.frameId - b.frameId);
+        let index = ordered.findIndex(page => page.frameId >= this.hand);
+        if (index === -1) index = 0;
+
+        const start = ordered[index].frameId;
+        const visited = [];
+        let victim = null;
+        let oldDirty = null;
+
+        for (let i = 0; i < ordered.length && !victim; i++) {
+            const page = ordered[(index + i) % ordered.length];
+
+            if (page.referenceBit) {
+                page.referenceBit = 0;
+                visited.push({ frameId: page.frameId, cleared: true });
+            } else if (this.isOutsideWorkingSet(page) && !page.modifiedBit) {
+                victim = page;
+                visited.push({ frameId: page.frameId, cleared: false });
+            } else {
+                if (!oldDirty && this.isOutsideWorkingSet(page)) {
+                    oldDirty = page;
+                }
+                visited.push({ frameId: page.frameId, cleared: false });
+            }
+        }
+
+        // No clean old page - take an old dirty one, otherwise the oldest page
+        if (!victim) {
+            victim = oldDirty || ordered.reduce(
+                (oldest, page) => page.lastAccessTime < oldest.lastAccessTime ? page : oldest
+            );
+            visited.push({ frameId: victim.frameId, cleared: false });
+        }
+
+        this.lastVictimInWorkingSet = !this.isOutsideWorkingSet(victim);
+        this.hand = victim.frameId + 1;
+        this.lastSweep = {
+            start,
+            visited,
+            victimFrameId: victim.frameId,
+            hand: this.hand
+        };
+
+        return victim;
+    }
+
+    /**
+     * Pages outside the working set stay until the hand reaches them on a fault
+     */
+    getExpiredPages(ramPages) {
+        return [];
+    }
+
+    getLastSweep() {
+        return this.lastSweep;
+    }
+
+    getClockHand() {
+        return this.hand;
+    }
+
+    getDescription() {
+        return 'WSClock - Clock hand evicts clean pages that left the working set (older than tau)';
+    }
+
+    serialize() {
+        return Object.assign(super.serialize(), { hand: this.hand });
+    }
+
+    restore(state, pages) {
+        super.restore(state, pages);
+        this.hand = state.hand;
+    }
+
+    reset() {
+        super.reset();
+        this.hand = 0;
+        this.lastSweep = null;
+    }
+}
+
+// Register with the policy registry
+registerPolicy('WSCLOCK', (engine) => new WSClock({ tau: engine.getWorkingSetWindowTime() }), {
+    label: 'WSClock',
+    reason: 'Working-Set Clock',
+    explanation: (policy) => policy.lastVictimInWorkingSet
+        ? 'WSClock: No page outside the working set, the oldest is selected'
+        : 'WSClock: First page under the hand older than tau is selected, clean before dirty'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.WSClock = WSClock;
+}
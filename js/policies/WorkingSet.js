@@ -0,0 +1,112 @@
+/**
+ * WorkingSet - Working-Set (WS) page replacement policy
+ * A page belongs to the working set if it was referenced within the last tau
+ * units of logical time. Every tick, pages that fell out of the working set
+ * are released, so a process keeps only its working set resident. A fault
+ * that finds RAM full then evicts the oldest page of the working set (the
+ * system is overcommitted).
+ */
+class WorkingSet extends PolicyInterface {
+    /**
+     * @param {Object} options
+     * @param {number} options.tau - Working-set window in simulation time
+     */
+    constructor(options = {}, name = 'WS') {
+        super(name);
+        this.tau = options.tau || 3000;
+        this.currentTime = 0;
+        this.lastVictimInWorkingSet = false;
+        this.released = 0;          // Pages released for leaving the working set
+    }
+
+    /**
+     * Check whether a page fell out of the working set
+     */
+    isOutsideWorkingSet(page) {
+        return this.currentTime - page.lastAccessTime > this.tau;
+    }
+
+    /**
+     * Select the oldest page - pages outside the working set were released
+     * at the last tick, so it is usually in the working set
+     */
+    selectVictim(ramPages) {
+        if (ramPages.length === 0) return null;
+
+        let victim = ramPages[0];
+        for (const page of ramPages) {
+            if (page.lastAccessTime < victim.lastAccessTime) {
+                victim = page;
+            }
+        }
+
+        this.lastVictimInWorkingSet = !this.isOutsideWorkingSet(victim);
+        return victim;
+    }
+
+    /**
+     * Release every resident page not referenced within tau
+     */
+    getExpiredPages(ramPages) {
+        const expired = ramPages.filter(page => this.isOutsideWorkingSet(page));
+        this.released += expired.length;
+        if (expired.length > 0) {
+            this.lastVictimInWorkingSet = false;
+        }
+        return expired;
+    }
+
+    onPageFault(page, timestamp) {
+        this.currentTime = timestamp;
+    }
+
+    onTick(timestamp) {
+        this.currentTime = timestamp;
+    }
+
+    getStats() {
+        return {
+            tau: this.tau,
+            released: this.released,
+            lastVictimInWorkingSet: this.lastVictimInWorkingSet
+        };
+    }
+
+    getDescription() {
+        return 'Working Set - Releases pages not referenced within the last tau of logical time';
+    }
+
+    serialize() {
+        return {
+            currentTime: this.currentTime,
+            lastVictimInWorkingSet: this.lastVictimInWorkingSet,
+            released: this.released
+        };
+    }
+
+    restore(state) {
+        this.currentTime = state.currentTime;
+        this.lastVictimInWorkingSet = state.lastVictimInWorkingSet;
+        this.released = state.released || 0;
+    }
+
+    reset() {
+        this.currentTime = 0;
+        this.lastVictimInWorkingSet = false;
+        this.released = 0;
+    }
+}
+
+// Register with the policy registry
+registerPolicy('WS', (engine) => new WorkingSet({ tau: engine.getWorkingSetWindowTime() }), {
+    label: 'Working Set',
+    reason: 'Working Set',
+    explanation: (policy) => policy.lastVictimInWorkingSet
+        ? 'Working Set: Every page is in the working set, the oldest is selected'
+        : 'Working Set: Page not referenced within tau is selected'
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.WorkingSet = WorkingSet;
+}
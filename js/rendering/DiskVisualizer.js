@@ -1,5 +1,8 @@
 /**
  * DiskVisualizer - Renders swap space as a circular disk platter
+ * The read/write head sits at angle 0 (+x). Each served swap request
+ * (SwapDevice) is replayed as: seek to the block's track, wait for the
+ * block to spin under the head, transfer
  */
 class DiskVisualizer {
     constructor(scene, config) {
@@ -25,8 +28,18 @@ class DiskVisualizer {
         this.rotationSpeed = 0.002;
         this.isSpinning = false;
 
+        // Head animation (ms of animation, not simulated time)
+        this.headTrack = 0;
+        this.headOps = [];          // Served requests waiting to be shown
+        this.headOp = null;         // { request, phase, startTime, duration, from, to }
+        this.maxHeadOps = 8;        // Older requests are skipped when the disk is busier than this
+        this.seekTrackDuration = 250;
+        this.turnDuration = 600;    // One full revolution
+        this.transferDuration = 200;
+
         this.createDiskPlatter();
         this.createBlockSlots();
+        this.createHead();
     }
 
     /**
@@ -96,8 +109,7 @@ class DiskVisualizer {
 
             // Calculate position
             const angle = (posInRing / blocksInThisRing) * Math.PI * 2;
-            const radius = this.innerRadius + 0.5 + (ringIndex + 0.5) *
-                ((this.outerRadius - this.innerRadius - 0.5) / this.rings);
+            const radius = this.getTrackRadius(ringIndex);
 
             const x = Math.cos(angle) * radius;
             const z = Math.sin(angle) * radius;
@@ -127,6 +139,151 @@ class DiskVisualizer {
         }
     }
 
+    /**
+     * Radius of the slots on a ring (track)
+     */
+    getTrackRadius(track) {
+        return this.innerRadius + 0.5 + (track + 0.5) *
+            ((this.outerRadius - this.innerRadius - 0.5) / this.rings);
+    }
+
+    /**
+     * Create the read/write head and the arm it hangs from
+     */
+    createHead() {
+        const pivotX = this.outerRadius + 1.5;
+
+        const pivotGeometry = new THREE.CylinderGeometry(0.35, 0.35, 0.6, 16);
+        const pivotMaterial = new THREE.MeshStandardMaterial({
+            color: 0x94a3b8,
+            roughness: 0.3,
+            metalness: 0.9
+        });
+        const pivot = new THREE.Mesh(pivotGeometry, pivotMaterial);
+        pivot.position.set(pivotX, this.baseY + 0.3, 0);
+        this.group.add(pivot);
+
+        // Unit-length arm, stretched from the pivot to the head in setHeadRadius()
+        const armGeometry = new THREE.BoxGeometry(1, 0.08, 0.18);
+        const armMaterial = new THREE.MeshStandardMaterial({
+            color: 0xcbd5e1,
+            roughness: 0.3,
+            metalness: 0.9
+        });
+        this.headArm = new THREE.Mesh(armGeometry, armMaterial);
+        this.group.add(this.headArm);
+
+        const headGeometry = new THREE.BoxGeometry(0.45, 0.15, 0.3);
+        const headMaterial = new THREE.MeshStandardMaterial({
+            color: 0xfbbf24,
+            emissive: 0xf59e0b,
+            emissiveIntensity: 0.4
+        });
+        this.head = new THREE.Mesh(headGeometry, headMaterial);
+        this.group.add(this.head);
+
+        this.headPivotX = pivotX;
+        this.setHeadRadius(this.getTrackRadius(this.headTrack));
+    }
+
+    /**
+     * Place the head over a radius along +x
+     */
+    setHeadRadius(radius) {
+        const y = this.baseY + 0.55;
+        this.head.position.set(radius, y, 0);
+        this.headArm.scale.x = this.headPivotX - radius;
+        this.headArm.position.set((this.headPivotX + radius) / 2, y, 0);
+    }
+
+    /**
+     * Queue a served swap request for the head to replay
+     * @param {Object} request - From SwapDevice (track, angle, blockId, type)
+     */
+    queueHeadMove(request) {
+        this.headOps.push(request);
+        while (this.headOps.length > this.maxHeadOps) {
+            this.headOps.shift();
+        }
+    }
+
+    /**
+     * Start the next phase of the head animation: seek, rotation, transfer
+     */
+    startHeadPhase(phase, duration, from, to) {
+        this.headOp.phase = phase;
+        this.headOp.startTime = Date.now();
+        this.headOp.duration = duration;
+        this.headOp.from = from;
+        this.headOp.to = to;
+    }
+
+    /**
+     * Advance the head animation; returns whether it moved the platter
+     */
+    updateHead() {
+        if (!this.headOp) {
+            if (this.headOps.length === 0) return false;
+
+            const request = this.headOps.shift();
+            this.headOp = { request };
+            const distance = Math.abs(request.track - this.headTrack);
+            this.head.material.emissive.setHex(0xf59e0b);
+            this.startHeadPhase('seek', distance * this.seekTrackDuration,
+                this.getTrackRadius(this.headTrack), this.getTrackRadius(request.track));
+        }
+
+        const op = this.headOp;
+        const t = op.duration > 0 ? Math.min(1, (Date.now() - op.startTime) / op.duration) : 1;
+        const value = op.from + (op.to - op.from) * t;
+
+        if (op.phase === 'seek') {
+            this.setHeadRadius(value);
+        } else if (op.phase === 'rotation') {
+            this.disk.rotation.y = value;
+            this.positionSlots();
+        }
+        if (t < 1) return true;
+
+        if (op.phase === 'seek') {
+            // Spin forward until the block's slot reaches the head (angle + rotation = a whole turn)
+            this.headTrack = op.request.track;
+            const turn = Math.PI * 2;
+            const slot = this.blockSlots[op.request.blockId];
+            const angle = slot ? slot.angle : op.request.angle;
+            const remaining = (((-angle - this.disk.rotation.y) % turn) + turn) % turn;
+            this.head.material.emissive.setHex(0x3b82f6);
+            this.startHeadPhase('rotation', remaining / turn * this.turnDuration,
+                this.disk.rotation.y, this.disk.rotation.y + remaining);
+        } else if (op.phase === 'rotation') {
+            const color = op.request.type === 'read' ? 0x22c55e : 0xef4444;
+            this.head.material.emissive.setHex(color);
+            this.flashSlot(op.request.blockId, color);
+            this.startHeadPhase('transfer', this.transferDuration, 0, 0);
+        } else {
+            this.head.material.emissive.setHex(0xf59e0b);
+            this.headOp = null;
+        }
+        return true;
+    }
+
+    /**
+     * Flash a block slot (green = read, red = write)
+     */
+    flashSlot(blockId, color) {
+        const slot = this.blockSlots[blockId];
+        if (!slot) return;
+
+        const material = slot.mesh.material;
+        material.color.setHex(color);
+        material.opacity = 0.9;
+
+        setTimeout(() => {
+            material.color.setHex(0x2563eb);
+            material.opacity = 0.4;
+        }, this.transferDuration + 200);
+    }
+
     /**
      * Create label sprite
      */
@@ -160,24 +317,24 @@ class DiskVisualizer {
         if (blockId < this.blockSlots.length) {
             const slot = this.blockSlots[blockId];
             return new THREE.Vector3(
-                slot.position.x + this.group.position.x,
-                slot.position.y + 0.4,
-                slot.position.z + this.group.position.z
+                slot.mesh.position.x + this.group.position.x,
+                slot.mesh.position.y + 0.4,
+                slot.mesh.position.z + this.group.position.z
             );
         }
         return new THREE.Vector3(this.group.position.x, this.baseY + 0.4, this.group.position.z);
     }
 
     /**
-     * Get local position for a block
+     * Get local position for a block, where the platter has turned it
      */
     getLocalBlockPosition(blockId) {
         if (blockId < this.blockSlots.length) {
             const slot = this.blockSlots[blockId];
             return new THREE.Vector3(
-                slot.position.x,
-                slot.position.y + 0.4,
-                slot.position.z
+                slot.mesh.position.x,
+                slot.mesh.position.y + 0.4,
+                slot.mesh.position.z
             );
         }
         return new THREE.Vector3(0, this.baseY + 0.4, 0);
@@ -226,30 +383,37 @@ class DiskVisualizer {
     }
 
     /**
-     * Update animation
+     * Update animation - the head animation turns the platter while it runs
      */
     update() {
-        if (this.isSpinning && this.disk) {
-            this.disk.rotation.y += this.rotationSpeed;
+        if (!this.disk || this.updateHead()) return;
 
-            // Rotate block slots and their page meshes
-            this.blockSlots.forEach(slot => {
-                // Recalculate position based on rotation
-                const newAngle = slot.angle + this.disk.rotation.y;
-                const x = Math.cos(newAngle) * slot.radius;
-                const z = Math.sin(newAngle) * slot.radius;
-
-                slot.mesh.position.x = x;
-                slot.mesh.position.z = z;
-
-                if (slot.pageMesh) {
-                    slot.pageMesh.position.x = x;
-                    slot.pageMesh.position.z = z;
-                }
-            });
+        if (this.isSpinning) {
+            this.disk.rotation.y += this.rotationSpeed;
+            this.positionSlots();
         }
     }
 
+    /**
+     * Rotate block slots and their page meshes with the platter
+     */
+    positionSlots() {
+        this.blockSlots.forEach(slot => {
+            // Recalculate position based on rotation
+            const newAngle = slot.angle + this.disk.rotation.y;
+            const x = Math.cos(newAngle) * slot.radius;
+            const z = Math.sin(newAngle) * slot.radius;
+
+            slot.mesh.position.x = x;
+            slot.mesh.position.z = z;
+
+            if (slot.pageMesh) {
+                slot.pageMesh.position.x = x;
+                slot.pageMesh.position.z = z;
+            }
+        });
+    }
+
     /**
      * Resize the disk
      */
@@ -263,6 +427,14 @@ class DiskVisualizer {
         // Recreate
         this.blockCount = newBlockCount;
         this.createBlockSlots();
+        this.positionSlots();
+
+        // Park the head
+        this.headOps = [];
+        this.headOp = null;
+        this.headTrack = 0;
+        this.head.material.emissive.setHex(0xf59e0b);
+        this.setHeadRadius(this.getTrackRadius(0));
     }
 
     /**
@@ -150,13 +150,13 @@ class PageRenderer {
             // Start from above the target position (local coords)
             mesh.position.set(targetLocalPos.x, targetLocalPos.y + 3, targetLocalPos.z);
             this.animateFallDown(mesh, targetLocalPos);
+
+            // Trigger disk spin
+            this.diskVisualizer.triggerIOAnimation();
         } else {
             mesh.position.copy(targetLocalPos);
         }
 
-        // Trigger disk spin
-        this.diskVisualizer.triggerIOAnimation();
-
         // Update disk visualizer
         this.diskVisualizer.setPageMesh(block.id, mesh);
 
@@ -384,13 +384,73 @@ class PageRenderer {
         }, 200);
     }
 
+    /**
+     * Render all pages of a process as suspended (grey, translucent) or normal
+     */
+    setProcessSuspended(processId, suspended) {
+        this.pageMeshes.forEach(mesh => {
+            if (mesh.userData.processId !== processId) return;
+
+            mesh.material.transparent = suspended;
+            mesh.material.opacity = suspended ? 0.3 : 1;
+
+            if (suspended) {
+                mesh.material.color.setHex(0x6b7280);
+                mesh.material.emissive.setHex(0x000000);
+            } else {
+                // A suspended process has every page on disk
+                mesh.material.color.setHex(0x3b82f6);
+                mesh.material.emissive.setHex(0x1e40af);
+            }
+        });
+    }
+
+    /**
+     * Animate a page of a killed process: turn red, shrink and fade, then remove it
+     */
+    animateKill(pageId) {
+        const mesh = this.pageMeshes.get(pageId);
+        if (!mesh) return;
+
+        // Forget it right away, the page may be recreated before the fade ends
+        this.pageMeshes.delete(pageId);
+
+        mesh.material.color.setHex(0xef4444);
+        mesh.material.emissive.setHex(0x991b1b);
+        mesh.material.transparent = true;
+
+        const duration = 700;
+        const startTime = Date.now();
+        const startScale = mesh.scale.x;
+
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const t = Math.min(elapsed / duration, 1);
+
+            mesh.scale.setScalar(startScale * (1 - 0.9 * this.easeInCubic(t)));
+            mesh.material.opacity = 1 - t;
+            mesh.rotation.z += 0.15;
+
+            if (t < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                if (mesh.parent) mesh.parent.remove(mesh);
+                mesh.geometry.dispose();
+                mesh.material.dispose();
+            }
+        };
+
+        animate();
+    }
+
     /**
      * Remove page mesh
      */
     removePage(pageId) {
         const mesh = this.pageMeshes.get(pageId);
         if (mesh) {
-            this.scene.remove(mesh);
+            // Disk pages live in the disk group, not the scene
+            if (mesh.parent) mesh.parent.remove(mesh);
             mesh.geometry.dispose();
             mesh.material.dispose();
             this.pageMeshes.delete(pageId);
@@ -427,7 +487,8 @@ class PageRenderer {
      */
     clear() {
         this.pageMeshes.forEach((mesh, pageId) => {
-            this.scene.remove(mesh);
+            // Disk pages live in the disk group, not the scene
+            if (mesh.parent) mesh.parent.remove(mesh);
             mesh.geometry.dispose();
             mesh.material.dispose();
         });
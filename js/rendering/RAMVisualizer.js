@@ -24,8 +24,14 @@ class RAMVisualizer {
         // Animation
         this.floatTime = 0;
 
+        // Clock hand (Second Chance policies)
+        this.clockHand = null;
+        this.clockHandFrame = 0;
+        this.sweepAnimationId = 0;  // Cancels an older sweep when a new one starts
+
         this.createBase();
         this.createFrameSlots();
+        this.createClockHand();
     }
 
     /**
@@ -99,6 +105,93 @@ class RAMVisualizer {
         }
     }
 
+    /**
+     * Create the clock hand pointer (hidden until a clock policy is active)
+     */
+    createClockHand() {
+        const handGeometry = new THREE.ConeGeometry(0.25, 0.6, 16);
+        const handMaterial = new THREE.MeshStandardMaterial({
+            color: 0xfbbf24,
+            emissive: 0xf59e0b,
+            emissiveIntensity: 0.6
+        });
+
+        this.clockHand = new THREE.Mesh(handGeometry, handMaterial);
+        this.clockHand.rotation.x = Math.PI;  // Point down at the frame
+        this.clockHand.visible = false;
+        this.group.add(this.clockHand);
+
+        this.setClockHand(0);
+    }
+
+    /**
+     * Show or hide the clock hand
+     */
+    setClockHandVisible(visible) {
+        if (this.clockHand) {
+            this.clockHand.visible = visible;
+        }
+    }
+
+    /**
+     * Place the clock hand over a frame slot
+     */
+    setClockHand(frameId) {
+        if (!this.clockHand || this.frameCount === 0) return;
+
+        this.clockHandFrame = frameId % this.frameCount;
+        const pos = this.getLocalFramePosition(this.clockHandFrame);
+        this.clockHand.position.set(pos.x, pos.y + 1.2, pos.z);
+    }
+
+    /**
+     * Flash a frame slot (amber = second chance, red = victim)
+     */
+    flashSlot(frameId, color) {
+        const slot = this.frameSlots[frameId];
+        if (!slot) return;
+
+        const material = slot.mesh.material;
+        const originalColor = material.color.getHex();
+        material.color.setHex(color);
+        material.opacity = 0.9;
+
+        setTimeout(() => {
+            material.color.setHex(originalColor);
+            material.opacity = 0.5;
+        }, 400);
+    }
+
+    /**
+     * Animate the hand sweeping over frames, clearing reference bits
+     * @param {Object} sweep - { start, visited: [{ frameId, cleared }], victimFrameId, hand }
+     */
+    animateClockSweep(sweep) {
+        if (!this.clockHand || !sweep) return;
+
+        const animationId = ++this.sweepAnimationId;
+        const stepDuration = 120;
+        let index = 0;
+
+        const visitNext = () => {
+            // A newer sweep took over
+            if (animationId !== this.sweepAnimationId) return;
+
+            if (index >= sweep.visited.length) {
+                this.setClockHand(sweep.hand);
+                return;
+            }
+
+            const visit = sweep.visited[index++];
+            this.setClockHand(visit.frameId);
+            this.flashSlot(visit.frameId, visit.cleared ? 0xfbbf24 : 0xef4444);
+
+            setTimeout(visitNext, stepDuration);
+        };
+
+        visitNext();
+    }
+
     /**
      * Create label sprite
      */
@@ -205,6 +298,7 @@ class RAMVisualizer {
         this.rows = Math.ceil(this.frameCount / this.cols);
 
         this.createFrameSlots();
+        this.setClockHand(0);
     }
 
     /**
@@ -23,6 +23,11 @@ class SceneManager {
         this.labels = [];
         this.showLabels = true;
 
+        // Hover picking
+        this.raycaster = null;
+        this.pointer = null;
+        this.onHover = null;        // (userData | null, x, y) => void
+
         this.initialize();
     }
 
@@ -68,6 +73,9 @@ class SceneManager {
         // Handle resize
         window.addEventListener('resize', () => this.onWindowResize());
 
+        // Setup hover picking for tooltips
+        this.setupPicking();
+
         // Start render loop
         this.startRenderLoop();
     }
@@ -119,6 +127,50 @@ class SceneManager {
         }
     }
 
+    /**
+     * Setup raycasting for hovered pages and slots
+     */
+    setupPicking() {
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerleave', () => {
+            if (this.onHover) this.onHover(null, 0, 0);
+        });
+    }
+
+    /**
+     * Find the page or slot under the pointer
+     */
+    onPointerMove(event) {
+        if (!this.onHover) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+
+        this.pointer.x = (x / rect.width) * 2 - 1;
+        this.pointer.y = -(y / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+
+        const hits = this.raycaster.intersectObjects(this.scene.children, true);
+        for (const hit of hits) {
+            // Labels are children of the page mesh
+            let obj = hit.object;
+            while (obj && !(obj.userData && (obj.userData.isPage || obj.userData.isSlot))) {
+                obj = obj.parent;
+            }
+            if (obj) {
+                this.onHover(obj.userData, x, y);
+                return;
+            }
+        }
+
+        this.onHover(null, x, y);
+    }
+
     /**
      * Setup environment (ground, grid)
      */
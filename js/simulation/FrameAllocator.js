@@ -0,0 +1,214 @@
+/**
+ * FrameAllocator - Divides the RAM frames between processes
+ * Strategies:
+ *   equal        - every process gets the same number of frames
+ *   proportional - frames in proportion to the process size (pageCount)
+ *   priority     - frames in proportion to the process priority
+ *   pff          - starts equal, then Page-Fault-Frequency control moves
+ *                  frames from processes faulting rarely to those faulting often
+ * The resulting quotas are enforced by local replacement in SimulationEngine
+ */
+const ALLOCATION_STRATEGIES = ['equal', 'proportional', 'priority', 'pff'];
+
+class FrameAllocator {
+    constructor(strategy = 'equal') {
+        this.strategy = strategy;
+
+        // Page-Fault-Frequency control loop
+        this.pffLower = 5;          // % faults per access: below this a frame is taken away
+        this.pffUpper = 30;         // % faults per access: above this a frame is granted
+        this.pffInterval = 10;      // Steps between adjustments
+        this.stepsSinceAdjust = 0;
+        this.samples = new Map();   // processId -> { faults, accesses } at the last adjustment
+    }
+
+    /**
+     * Set the allocation strategy
+     */
+    setStrategy(strategy) {
+        if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown allocation strategy "${strategy}"`);
+        }
+        this.strategy = strategy;
+    }
+
+    /**
+     * Set the PFF fault-rate band (percent of accesses that fault)
+     */
+    setPFFThresholds(lower, upper) {
+        this.pffLower = Math.min(lower, upper);
+        this.pffUpper = Math.max(lower, upper);
+    }
+
+    /**
+     * Set the number of steps between PFF adjustments
+     */
+    setPFFInterval(steps) {
+        this.pffInterval = Math.max(1, steps);
+    }
+
+    /**
+     * Weight of a process under the current strategy
+     */
+    getWeight(process) {
+        switch (this.strategy) {
+            case 'proportional':
+                return process.pageCount;
+            case 'priority':
+                return process.priority;
+            default:
+                return 1;
+        }
+    }
+
+    /**
+     * Compute quotas and store them on each process (process.frameQuota)
+     * Uses largest remainders so the quotas always add up to totalFrames,
+     * and never gives a process more frames than it has pages
+     * @param {Process[]} processes
+     * @param {number} totalFrames
+     * @returns {Map} - processId -> quota
+     */
+    allocate(processes, totalFrames) {
+        const quotas = new Map();
+        if (processes.length === 0) return quotas;
+
+        // Every process gets at least one frame if there are enough
+        const minimum = totalFrames >= processes.length ? 1 : 0;
+        const spare = totalFrames - minimum * processes.length;
+        const totalWeight = processes.reduce((sum, p) => sum + this.getWeight(p), 0);
+
+        const shares = processes.map(process => {
+            const exact = totalWeight > 0
+                ? spare * this.getWeight(process) / totalWeight
+                : spare / processes.length;
+            const quota = Math.min(process.pageCount, minimum + Math.floor(exact));
+            return { process, quota, remainder: exact - Math.floor(exact) };
+        });
+
+        // Hand out the frames lost to rounding (or to capped processes)
+        let remaining = totalFrames - shares.reduce((sum, s) => sum + s.quota, 0);
+        const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder);
+        while (remaining > 0) {
+            const open = byRemainder.filter(s => s.quota < s.process.pageCount);
+            if (open.length === 0) break;
+            for (const share of open) {
+                if (remaining === 0) break;
+                share.quota++;
+                remaining--;
+            }
+        }
+
+        shares.forEach(({ process, quota }) => {
+            process.frameQuota = quota;
+            quotas.set(process.id, quota);
+        });
+
+        return quotas;
+    }
+
+    /**
+     * Called once per simulation step. With the pff strategy, every
+     * pffInterval steps each process's fault rate over the interval is
+     * compared with the thresholds:
+     *   above pffUpper - gets one frame from the free pool
+     *   below pffLower - gives one frame back to the pool
+     * Frames are released before they are granted, highest fault rate first
+     * @param {Process[]} processes
+     * @param {number} totalFrames
+     * @returns {Object[]} - Quota changes { process, oldQuota, newQuota, faultRate, reason }
+     */
+    adjust(processes, totalFrames) {
+        if (this.strategy !== 'pff') return [];
+
+        this.stepsSinceAdjust++;
+        if (this.stepsSinceAdjust < this.pffInterval) return [];
+        this.stepsSinceAdjust = 0;
+
+        // Fault rate of each process since the last adjustment
+        const rates = [];
+        processes.forEach(process => {
+            const last = this.samples.get(process.id) || { faults: 0, accesses: 0 };
+            const accesses = process.totalAccesses - last.accesses;
+            const faults = process.pageFaults - last.faults;
+            this.samples.set(process.id, { faults: process.pageFaults, accesses: process.totalAccesses });
+
+            if (accesses > 0) {
+                rates.push({ process, faultRate: faults / accesses * 100 });
+            }
+        });
+
+        const changes = [];
+        const change = (process, delta, faultRate, reason) => {
+            changes.push({
+                process,
+                oldQuota: process.frameQuota,
+                newQuota: process.frameQuota + delta,
+                faultRate,
+                reason
+            });
+            process.frameQuota += delta;
+        };
+
+        // Release frames from processes below the lower threshold
+        rates.forEach(({ process, faultRate }) => {
+            if (faultRate < this.pffLower && process.frameQuota > 1) {
+                change(process, -1, faultRate,
+                    `Fault rate ${faultRate.toFixed(1)}% below ${this.pffLower}%`);
+            }
+        });
+
+        // Grant frames from the pool, most urgent first
+        let pool = totalFrames - processes.reduce((sum, p) => sum + p.frameQuota, 0);
+        rates
+            .filter(({ process, faultRate }) => faultRate > this.pffUpper && process.frameQuota < process.pageCount)
+            .sort((a, b) => b.faultRate - a.faultRate)
+            .forEach(({ process, faultRate }) => {
+                if (pool <= 0) return;
+                change(process, 1, faultRate,
+                    `Fault rate ${faultRate.toFixed(1)}% above ${this.pffUpper}%`);
+                pool--;
+            });
+
+        return changes;
+    }
+
+    /**
+     * Get the strategy and PFF control state as plain data for a snapshot
+     */
+    serialize() {
+        return {
+            strategy: this.strategy,
+            pffLower: this.pffLower,
+            pffUpper: this.pffUpper,
+            pffInterval: this.pffInterval,
+            stepsSinceAdjust: this.stepsSinceAdjust,
+            samples: Array.from(this.samples).map(([id, sample]) => [id, Object.assign({}, sample)])
+        };
+    }
+
+    /**
+     * Restore serialize() data
+     */
+    restore(state) {
+        this.setStrategy(state.strategy);
+        this.setPFFThresholds(state.pffLower, state.pffUpper);
+        this.setPFFInterval(state.pffInterval);
+        this.stepsSinceAdjust = state.stepsSinceAdjust;
+        this.samples = new Map(state.samples.map(([id, sample]) => [id, Object.assign({}, sample)]));
+    }
+
+    /**
+     * Forget PFF samples (process IDs restart after a reset)
+     */
+    reset() {
+        this.stepsSinceAdjust = 0;
+        this.samples.clear();
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.FrameAllocator = FrameAllocator;
+    window.ALLOCATION_STRATEGIES = ALLOCATION_STRATEGIES;
+}
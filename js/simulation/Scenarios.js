@@ -12,7 +12,9 @@ const SCENARIOS = {
             swapBlocks: 64,
             pageSize: 4, // KB (symbolic)
             accessInterval: 500, // ms between accesses
-            policy: 'LRU'
+            diskServiceTime: 0, // No CPU model - set in every scenario so it does not carry over
+            policy: 'LRU',
+            seed: 1001 // Workload seed: same seed, same run
         },
         processes: [
             { name: 'Text Editor', pages: 8, locality: 0.9, icon: '📝' },
@@ -31,11 +33,13 @@ const SCENARIOS = {
             swapBlocks: 64,
             pageSize: 4,
             accessInterval: 300,
-            policy: 'LRU'
+            diskServiceTime: 0,
+            policy: 'LRU',
+            seed: 2002
         },
         processes: [
-            { name: 'Web Browser', pages: 16, locality: 0.7, icon: '🌐' },
-            { name: 'IDE', pages: 12, locality: 0.6, icon: '💻' }
+            { name: 'Web Browser', pages: 16, locality: 0.7, icon: '🌐', writeRatio: 0.1 }, // Mostly reads cached content
+            { name: 'IDE', pages: 12, locality: 0.6, icon: '💻', writeRatio: 0.5 }
         ],
         expectedBehavior: 'Occasional swapping, moderate fault rate, stable performance'
     },
@@ -50,12 +54,14 @@ const SCENARIOS = {
             swapBlocks: 64,
             pageSize: 4,
             accessInterval: 150,
-            policy: 'LRU'
+            diskServiceTime: 0,
+            policy: 'LRU',
+            seed: 3003
         },
         processes: [
-            { name: 'Video Editor', pages: 20, locality: 0.4, icon: '🎬' },
-            { name: 'Game', pages: 25, locality: 0.3, icon: '🎮' },
-            { name: '3D Renderer', pages: 18, locality: 0.35, icon: '🎨' }
+            { name: 'Video Editor', pages: 20, locality: 0.4, icon: '🎬', priority: 3 },
+            { name: 'Game', pages: 25, locality: 0.3, icon: '🎮', priority: 2 },
+            { name: '3D Renderer', pages: 18, locality: 0.35, icon: '🎨', priority: 1 }
         ],
         expectedBehavior: 'Continuous swap activity, thrashing detected, poor performance'
     },
@@ -70,7 +76,9 @@ const SCENARIOS = {
             swapBlocks: 64,
             pageSize: 4,
             accessInterval: 300,
-            policy: 'LRU'
+            diskServiceTime: 0,
+            policy: 'LRU',
+            seed: 4004
         },
         processes: [],
         customizable: true,
@@ -88,7 +96,9 @@ const SCENARIOS = {
             swapBlocks: 32,
             pageSize: 4,
             accessInterval: 400,
-            policy: 'FIFO'
+            diskServiceTime: 0,
+            policy: 'FIFO',
+            seed: 5005
         },
         processes: [
             { name: 'Anomaly Test', pages: 15, locality: 0.3, icon: '⚠️' }
@@ -106,13 +116,58 @@ const SCENARIOS = {
             swapBlocks: 48,
             pageSize: 4,
             accessInterval: 250,
-            policy: 'LRU'
+            diskServiceTime: 0,
+            policy: 'LRU',
+            seed: 6006
         },
         processes: [
             { name: 'High Locality', pages: 15, locality: 0.95, icon: '🎯' },
             { name: 'Low Locality', pages: 15, locality: 0.2, icon: '🎲' }
         ],
         expectedBehavior: 'High locality process should have fewer faults'
+    },
+
+    multiprogramming: {
+        id: 'multiprogramming',
+        name: 'CPU vs Multiprogramming',
+        description: 'Faults block processes on the disk. Add processes one at a time and watch CPU utilization collapse.',
+        icon: '📈',
+        config: {
+            ramFrames: 32,
+            swapBlocks: 64,
+            pageSize: 4,
+            accessInterval: 300,
+            diskServiceTime: 3000, // ms an average swap transfer blocks its process
+            policy: 'LRU',
+            seed: 7007
+        },
+        processes: [
+            { name: 'Browser', pages: 12, locality: 0.7, icon: '🌐' }
+        ],
+        customizable: true,
+        expectedBehavior: 'Utilization stays high while working sets fit, then drops as processes are added'
+    },
+
+    outOfMemory: {
+        id: 'outOfMemory',
+        name: 'Out of Memory',
+        description: 'More pages than RAM and swap together. The first fault with nowhere to put a victim wakes the OOM killer.',
+        icon: '💀',
+        config: {
+            ramFrames: 16,
+            swapBlocks: 16,
+            pageSize: 4,
+            accessInterval: 300,
+            diskServiceTime: 0,
+            policy: 'LRU',
+            seed: 8008
+        },
+        processes: [
+            { name: 'Database', pages: 12, locality: 0.8, icon: '🗄️', oomScoreAdj: -500 }, // Protected, like a system daemon
+            { name: 'Browser', pages: 14, locality: 0.5, icon: '🌐' },
+            { name: 'Compiler', pages: 12, locality: 0.5, icon: '⚙️' }
+        ],
+        expectedBehavior: 'Browser or Compiler is killed, its frames and swap blocks are freed and the rest keep running'
     }
 };
 
@@ -149,7 +204,9 @@ function createCustomScenario(config) {
             swapBlocks: config.swapBlocks || 64,
             pageSize: config.pageSize || 4,
             accessInterval: config.accessInterval || 300,
-            policy: config.policy || 'LRU'
+            diskServiceTime: config.diskServiceTime || 0,
+            policy: config.policy || 'LRU',
+            seed: config.seed !== undefined ? config.seed : null
         },
         processes: config.processes || [],
         customizable: false
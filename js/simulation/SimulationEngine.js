@@ -2,6 +2,54 @@
  * SimulationEngine - Main orchestrator for the memory simulation
  * Manages time, processes, memory, and dispatches events
  */
+const THRASHING_RULES = ['ioRate', 'faultRatio', 'workingSet'];
+
+/**
+ * Events emitted by the engine. Every payload is one object with
+ *   event     - event name
+ *   time      - simulation time of the event
+ *   processId - process the event concerns (null for system-wide events)
+ * plus the fields listed here
+ */
+const SIMULATION_EVENTS = {
+    onPageAllocated: ['page', 'frame'],
+    onPageEvicted: ['page', 'frame'],
+    onPageSwappedIn: ['page', 'block'],
+    onPageSwappedOut: ['page', 'block', 'written'],
+    onPageAccessed: ['page', 'result'],
+    onPageFault: ['page'],
+    onPolicySweep: ['sweep'],
+    onQuotaChange: ['process', 'oldQuota', 'newQuota', 'faultRate', 'reason'],
+    onProcessSuspended: ['process', 'reason'],
+    onProcessResumed: ['process', 'reason'],
+    onProcessKilled: ['process', 'reason', 'badness', 'frames', 'blocks'],
+    onThrashingChange: ['isThrashing', 'level', 'rule'],
+    onStatsUpdate: ['stats'],
+    onProcessAdded: ['process'],
+    onSimulationStep: ['stats'],
+    onHistorySeek: ['step', 'stats'],
+    onDiskIO: ['request']
+};
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Run loop scheduling: animation frames in the browser, a ~60 Hz timer without a DOM (Node)
+ */
+const hasAnimationFrame = typeof requestAnimationFrame === 'function';
+
+function scheduleFrame(callback) {
+    return hasAnimationFrame ? requestAnimationFrame(callback) : setTimeout(callback, 16);
+}
+
+function cancelFrame(id) {
+    if (hasAnimationFrame) {
+        cancelAnimationFrame(id);
+    } else {
+        clearTimeout(id);
+    }
+}
+
 class SimulationEngine {
     constructor() {
         // Configuration
@@ -10,6 +58,37 @@ class SimulationEngine {
             swapBlocks: 64,
             pageSize: 4,
             accessInterval: 300,
+            lookahead: 64,          // Pre-generated accesses visible to OPT
+            writeRatio: 0.3,        // Fraction of accesses that dirty the page
+            counterDecayInterval: 20, // Steps between halving LFU/MFU counters (0 = off)
+            agingTickInterval: 1,   // Steps between Aging counter shifts
+            workingSetWindow: 10,   // Working-set window tau, in steps
+            seed: null,             // Workload seed (null = pick one), see setSeed()
+            policySeed: null,       // Seed for the Random policy (null = derive from seed)
+            allocationStrategy: 'equal', // Frame quotas: equal | proportional | priority | pff
+            replacementScope: 'global',  // global = steal from anyone, local = own frames only
+            pffLowerThreshold: 5,   // PFF: % of accesses faulting below which a frame is released
+            pffUpperThreshold: 30,  // PFF: % of accesses faulting above which a frame is granted
+            pffInterval: 10,        // PFF: steps between quota adjustments
+            loadControl: false,     // Suspend processes while thrashing (medium-term scheduler)
+            loadControlCooldown: 20, // Steps between load-control decisions
+            diskServiceTime: 0,     // CPU model: logical ms an average swap transfer blocks its process (0 = off)
+            memoryAccessTime: 100,  // Access time model: ns per RAM access
+            faultServiceTime: 10000, // ns of kernel work per fault (trap, handler, page table update)
+            swapDevice: 'disk',     // Swap I/O time: disk (SwapDevice) | fixed (swapReadTime/swapWriteTime)
+            swapReadTime: 5000000,  // fixed: ns to read a page from swap
+            swapWriteTime: 5000000, // fixed: ns to write a victim back to swap
+            diskScheduler: 'FCFS',  // disk: FCFS | SSTF | SCAN | CLOOK
+            diskRPM: 7200,          // disk: platter speed
+            diskSeekTime: 3000000,  // disk: ns per track the head crosses
+            diskSettleTime: 1000000, // disk: ns added to every seek
+            diskTransferTime: 100000, // disk: ns to transfer one page
+            thrashingRule: 'ioRate', // Detection rule: ioRate | faultRatio | workingSet
+            thrashingWindow: 10,    // Detection window, in steps
+            thrashingIOThreshold: 8, // ioRate: swap operations per window
+            thrashingFaultRatio: 30, // faultRatio: % of accesses in the window that fault
+            historyInterval: 25,    // Steps between rewind checkpoints
+            historyLimit: 2000,     // Steps kept for rewinding (0 = off)
             policy: 'LRU'
         };
 
@@ -17,8 +96,13 @@ class SimulationEngine {
         this.frames = [];           // Physical RAM frames
         this.freeFrames = [];       // Free frame list
         this.swapSystem = null;     // Swap subsystem
+        this.swapDevice = null;     // Disk behind the swap space (seek, rotation, queue)
         this.policy = null;         // Current page replacement policy
+        this.rng = null;            // Seeded PRNG behind every workload decision
+        this.seed = null;           // Seed the current run started from
         this.workloadGenerator = null;
+        this.frameAllocator = null; // Per-process frame quotas
+        this.history = new SimulationHistory(this.config.historyInterval, this.config.historyLimit);
 
         // State
         this.processes = [];
@@ -29,6 +113,9 @@ class SimulationEngine {
         this.isRunning = false;
         this.isPaused = false;
         this.simulationTime = 0;    // Logical time in ms
+        this.stepCount = 0;         // Steps run since the start
+        this.isReplaying = false;   // Seeking: steps run silently
+        this.currentDelta = null;   // History record of the step in progress
         this.speed = 1.0;           // Time multiplier
         this.animationFrameId = null;
         this.lastStepTime = 0;
@@ -36,31 +123,36 @@ class SimulationEngine {
         // Statistics
         this.stats = {
             totalPageFaults: 0,
-            pageFaultsThisSecond: 0,
-            pageFaultTimes: [],     // Timestamps of recent faults
+            pageFaultTimes: [],     // Simulation times of recent faults
             swapInCount: 0,
             swapOutCount: 0,
+            writeBacks: 0,          // Evictions that wrote the page to swap
+            cleanDiscards: 0,       // Evictions of clean pages whose swap copy was still valid
             memoryAccesses: 0,
-            hitCount: 0
+            hitCount: 0,
+            thrashingTime: 0,       // Simulation time spent thrashing
+            oomKills: 0             // Processes killed by the OOM killer
         };
 
         // Thrashing detection
-        this.thrashingThreshold = 5;  // Swap ops per second to trigger thrashing
         this.isThrashing = false;
+        this.thrashingLevel = 0;    // % of the active rule's threshold
+        this.recentSteps = [];      // { accesses, faults } of the last thrashingWindow steps
 
-        // Event callbacks
-        this.callbacks = {
-            onPageAllocated: null,
-            onPageEvicted: null,
-            onPageSwappedIn: null,
-            onPageSwappedOut: null,
-            onPageAccessed: null,
-            onPageFault: null,
-            onThrashingChange: null,
-            onStatsUpdate: null,
-            onProcessAdded: null,
-            onSimulationStep: null
-        };
+        // Load control
+        this.stepsSinceLoadControl = 0;  // Steps since the last suspend/resume
+
+        // CPU model
+        this.diskFreeAt = 0;        // fixed swap I/O: time the paging disk finishes its queue
+        this.cpu = this.createCPUStats();
+
+        // Access time model
+        this.latency = this.createLatencyStats();
+        this.currentStall = null;   // { faultService, swapRead, swapWrite, diskQueue, requests } of the access in progress
+        this.pendingStalls = [];    // [{ process, stall }] of this step, waiting for their disk I/O
+
+        // Event listeners (see SIMULATION_EVENTS)
+        this.events = new EventBus();
 
         this.initialize();
     }
@@ -71,7 +163,16 @@ class SimulationEngine {
     initialize() {
         this.initializeFrames();
         this.swapSystem = new SwapSystem(this.config.swapBlocks);
-        this.workloadGenerator = new WorkloadGenerator();
+        this.swapDevice = new SwapDevice(this.swapSystem.trackCount);
+        this.configureSwapDevice();
+        this.rng = new SeededRandom();
+        this.setSeed(this.config.seed);
+        this.workloadGenerator = new WorkloadGenerator(this.rng);
+        this.workloadGenerator.setLookahead(this.config.lookahead);
+        this.workloadGenerator.setWriteRatio(this.config.writeRatio);
+        this.frameAllocator = new FrameAllocator(this.config.allocationStrategy);
+        this.frameAllocator.setPFFThresholds(this.config.pffLowerThreshold, this.config.pffUpperThreshold);
+        this.frameAllocator.setPFFInterval(this.config.pffInterval);
         this.setPolicy(this.config.policy);
     }
 
@@ -96,39 +197,132 @@ class SimulationEngine {
         }
     }
 
+    /**
+     * Restart the workload sequence from a seed
+     * The same seed, config and processes replay the same run exactly
+     * @param {number|null} seed - null picks a fresh seed
+     */
+    setSeed(seed) {
+        this.config.seed = seed;
+        this.seed = seed !== null && seed !== undefined ? seed >>> 0 : SeededRandom.generateSeed();
+        this.rng.setSeed(this.seed);
+    }
+
+    /**
+     * Seed for a component that needs its own stream (e.g. the Random policy)
+     * Derived from the run seed, so it is reproduced along with it
+     */
+    deriveSeed(salt) {
+        return (this.seed ^ Math.imul(salt, 0x9E3779B9)) >>> 0;
+    }
+
     /**
      * Set the page replacement policy
+     * @param {string} policyName - Name registered with registerPolicy()
+     * @throws {Error} If no policy is registered under that name
      */
     setPolicy(policyName) {
-        switch (policyName.toUpperCase()) {
-            case 'FIFO':
-                this.policy = new FIFO();
-                break;
-            case 'LRU':
-            default:
-                this.policy = new LRU();
-                break;
-        }
+        this.policy = createPolicy(policyName, this);
         this.config.policy = policyName;
     }
 
+    /**
+     * Get the registry metadata of the current policy
+     */
+    getPolicyMetadata() {
+        const entry = getPolicyEntry(this.config.policy);
+        return entry ? entry.metadata : { label: this.policy.getName(), reason: '', explanation: '' };
+    }
+
+    /**
+     * Working-set window tau in simulation time
+     */
+    getWorkingSetWindowTime() {
+        return this.config.workingSetWindow * this.config.accessInterval;
+    }
+
     /**
      * Update configuration
+     * @throws {Error} If newConfig names an unknown policy (nothing is changed)
      */
     updateConfig(newConfig) {
+        if (newConfig.policy !== undefined) {
+            requirePolicyEntry(newConfig.policy);
+        }
+
+        // Partial configs only reinitialize when they change the memory sizes
         const needsReinit =
-            newConfig.ramFrames !== this.config.ramFrames ||
-            newConfig.swapBlocks !== this.config.swapBlocks;
+            (newConfig.ramFrames !== undefined && newConfig.ramFrames !== this.config.ramFrames) ||
+            (newConfig.swapBlocks !== undefined && newConfig.swapBlocks !== this.config.swapBlocks);
+        // A null seed asks for a fresh one every time
+        const seedChanged = newConfig.seed !== undefined &&
+            (newConfig.seed === null || newConfig.seed !== this.config.seed);
+        const strategyChanged = newConfig.allocationStrategy !== undefined &&
+            newConfig.allocationStrategy !== this.config.allocationStrategy;
 
         Object.assign(this.config, newConfig);
 
+        // PFF quotas only take effect under local replacement
+        if (this.config.allocationStrategy === 'pff') {
+            this.config.replacementScope = 'local';
+        }
+
         if (needsReinit) {
             this.reset();
         }
 
-        if (newConfig.policy) {
-            this.setPolicy(newConfig.policy);
+        if (seedChanged) {
+            this.setSeed(newConfig.seed);
+        }
+
+        if (newConfig.lookahead !== undefined) {
+            this.workloadGenerator.setLookahead(newConfig.lookahead);
+        }
+
+        if (newConfig.writeRatio !== undefined) {
+            this.workloadGenerator.setWriteRatio(newConfig.writeRatio);
+        }
+
+        if (newConfig.allocationStrategy !== undefined) {
+            this.frameAllocator.setStrategy(newConfig.allocationStrategy);
+        }
+
+        if (newConfig.pffLowerThreshold !== undefined || newConfig.pffUpperThreshold !== undefined) {
+            this.setPFFThresholds(this.config.pffLowerThreshold, this.config.pffUpperThreshold);
+        }
+
+        if (newConfig.pffInterval !== undefined) {
+            this.frameAllocator.setPFFInterval(newConfig.pffInterval);
+        }
+        this.reallocateFrames(strategyChanged);
+
+        // Policies may size their state by the frame count or seed from the run
+        if (newConfig.policy || needsReinit || seedChanged) {
+            this.setPolicy(this.config.policy);
+        }
+
+        if (newConfig.historyInterval !== undefined || newConfig.historyLimit !== undefined) {
+            this.history.configure(this.config.historyInterval, this.config.historyLimit);
+        }
+
+        if (['diskScheduler', 'diskRPM', 'diskSeekTime', 'diskSettleTime', 'diskTransferTime']
+            .some(key => newConfig[key] !== undefined)) {
+            this.configureSwapDevice();
         }
+        this.recordChange();
+    }
+
+    /**
+     * Apply the disk* config to the swap device
+     */
+    configureSwapDevice() {
+        this.swapDevice.configure({
+            scheduler: this.config.diskScheduler,
+            rpm: this.config.diskRPM,
+            settleTime: this.config.diskSettleTime,
+            trackSeekTime: this.config.diskSeekTime,
+            transferTime: this.config.diskTransferTime
+        });
     }
 
     /**
@@ -148,31 +342,364 @@ class SimulationEngine {
         });
 
         this.processes.push(process);
-        this.workloadGenerator.setProcesses(this.processes);
+        this.workloadGenerator.setProcesses(this.getActiveProcesses());
+        this.reallocateFrames();
 
         // Allocate initial pages to RAM
         this.allocateInitialPages(process);
 
-        // Notify callback
-        if (this.callbacks.onProcessAdded) {
-            this.callbacks.onProcessAdded(process);
-        }
+        this.recordChange();
+        this.emit('onProcessAdded', process.id, { process });
 
         return process;
     }
 
+    /**
+     * Set the PFF fault-rate thresholds (percent), effective at the next adjustment
+     */
+    setPFFThresholds(lower, upper) {
+        this.frameAllocator.setPFFThresholds(lower, upper);
+        this.config.pffLowerThreshold = this.frameAllocator.pffLower;
+        this.config.pffUpperThreshold = this.frameAllocator.pffUpper;
+        this.recordChange();
+    }
+
+    /**
+     * Recompute every process's frame quota
+     * PFF quotas are kept while the same processes are active, so changing
+     * other settings does not undo the control loop's adjustments
+     * @param {boolean} restart - Recompute PFF quotas even so (new strategy)
+     */
+    reallocateFrames(restart = false) {
+        const active = this.getActiveProcesses();
+        const isSameSet = this.processes.every(p => active.includes(p) ? p.frameQuota > 0 : !p.frameQuota);
+        if (this.config.allocationStrategy === 'pff' && isSameSet && !restart) return;
+
+        const previous = new Map(this.processes.map(p => [p.id, p.frameQuota]));
+        this.frameAllocator.allocate(active, this.config.ramFrames);
+        this.processes
+            .filter(p => !p.isRunning())
+            .forEach(p => { p.frameQuota = 0; });
+
+        this.processes.forEach(process => {
+            const oldQuota = previous.get(process.id);
+            if (oldQuota !== process.frameQuota) {
+                this.notifyQuotaChange({
+                    process,
+                    oldQuota,
+                    newQuota: process.frameQuota,
+                    faultRate: null,
+                    reason: `${this.frameAllocator.strategy} allocation`
+                });
+            }
+        });
+    }
+
+    /**
+     * Notify a quota change
+     */
+    notifyQuotaChange(change) {
+        this.emit('onQuotaChange', change.process.id, change);
+    }
+
+    /**
+     * Empty CPU utilization counters
+     */
+    createCPUStats() {
+        return {
+            busySlots: 0,
+            totalSlots: 0,
+            recent: [],             // { busy, total } of the last steps
+            byDegree: new Map()     // active process count -> { busy, total }
+        };
+    }
+
+    /**
+     * Whether faults block processes for diskServiceTime
+     */
+    isCPUModelEnabled() {
+        return this.config.diskServiceTime > 0;
+    }
+
+    /**
+     * Whether a process can use the CPU (not suspended, not waiting for the disk)
+     */
+    isProcessReady(process) {
+        return process.isRunning() && process.blockedUntil <= this.simulationTime;
+    }
+
+    /**
+     * Block the faulting process until the disk has served its page
+     * With the disk model the wait is only known once the swap device has
+     * served the step's requests (see completeDiskIO). With fixed swap I/O
+     * the paging disk serves one fault at a time, diskServiceTime each, so
+     * faults queue up behind each other
+     */
+    blockOnFault(process) {
+        if (this.config.swapDevice === 'disk') {
+            process.blockedUntil = Infinity;
+            return;
+        }
+
+        const start = Math.max(this.simulationTime, this.diskFreeAt);
+        this.diskFreeAt = start + this.config.diskServiceTime;
+        process.blockedUntil = this.diskFreeAt;
+    }
+
+    /**
+     * Simulation time (ms) a disk wait blocks a process: diskServiceTime
+     * stands for an average transfer, so seeks, rotation and queueing behind
+     * other faults of the step lengthen or shorten the block in proportion
+     * @param {number} ns - Time from submitting the request to its end
+     */
+    getBlockedTime(ns) {
+        return ns / this.swapDevice.getAverageServiceTime() * this.config.diskServiceTime;
+    }
+
+    /**
+     * Simulation time the disk is still busy serving faults of earlier
+     * steps - until the last process blocked by one of them is released
+     */
+    getDiskBacklogEnd() {
+        return this.processes.reduce((end, process) => process.blockedUntil === Infinity
+            ? end : Math.max(end, process.blockedUntil), this.simulationTime);
+    }
+
+    /**
+     * Record CPU slots of one step
+     * @param {number} busy - Slots that executed an access
+     * @param {number} total - Slots available this step
+     */
+    recordCPU(busy, total) {
+        const degree = this.getActiveProcesses().length;
+        if (degree === 0) return;
+
+        this.cpu.busySlots += busy;
+        this.cpu.totalSlots += total;
+
+        this.cpu.recent.push({ busy, total });
+        if (this.cpu.recent.length > 20) {
+            this.cpu.recent.shift();
+        }
+
+        const bucket = this.cpu.byDegree.get(degree) || { busy: 0, total: 0 };
+        bucket.busy += busy;
+        bucket.total += total;
+        this.cpu.byDegree.set(degree, bucket);
+    }
+
+    /**
+     * CPU utilization (%) over the last 20 steps
+     */
+    getCPUUtilization() {
+        const busy = this.cpu.recent.reduce((sum, s) => sum + s.busy, 0);
+        const total = this.cpu.recent.reduce((sum, s) => sum + s.total, 0);
+        return total > 0 ? busy / total * 100 : 0;
+    }
+
+    /**
+     * Mean CPU utilization (%) per degree of multiprogramming
+     * @returns {Object[]} - [{ degree, utilization, slots }] sorted by degree
+     */
+    getUtilizationByDegree() {
+        return Array.from(this.cpu.byDegree.entries())
+            .map(([degree, bucket]) => ({
+                degree,
+                utilization: bucket.busy / bucket.total * 100,
+                slots: bucket.total
+            }))
+            .sort((a, b) => a.degree - b.degree);
+    }
+
+    /**
+     * Empty access time counters (ns)
+     */
+    createLatencyStats() {
+        return {
+            accesses: 0,
+            memory: 0,              // RAM accesses, hits and restarted faults alike
+            faultService: 0,        // Kernel fault handling
+            swapRead: 0,            // Faulted pages read from swap
+            swapWrite: 0,           // Victims written back to swap
+            diskQueue: 0,           // Waiting for other requests on the disk
+            recent: []              // { accesses, time } of the last steps
+        };
+    }
+
+    /**
+     * Add time to the access in progress (faults and write-backs outside
+     * an access, like load-control suspensions, cost no process time)
+     * @param {string} part - faultService | swapRead | swapWrite | diskQueue
+     * @param {number} ns
+     */
+    chargeStall(part, ns) {
+        if (this.currentStall) {
+            this.currentStall[part] += ns;
+        }
+    }
+
+    /**
+     * Start a swap transfer. With the disk model it is queued on the swap
+     * device and the access in progress waits for it at the end of the step;
+     * transfers outside an access only keep the disk busy
+     * @param {string} type - 'read' | 'write'
+     * @param {DiskBlock} block
+     * @param {Page} page
+     */
+    submitDiskIO(type, block, page) {
+        if (this.config.swapDevice !== 'disk') {
+            this.chargeStall(type === 'read' ? 'swapRead' : 'swapWrite',
+                type === 'read' ? this.config.swapReadTime : this.config.swapWriteTime);
+            return;
+        }
+
+        // Accesses are not accounted until the step ends, so every request
+        // of a step arrives at the same time: the processes fault side by side
+        const request = this.swapDevice.submit(type, block, page.id, this.getTotalAccessTime());
+        if (this.currentStall) {
+            this.currentStall.requests.push(request);
+        }
+    }
+
+    /**
+     * Let the disk serve this step's requests, then account every access of
+     * the step: its own transfers count as swap reads/writes, the rest of
+     * the wait as disk queue
+     */
+    completeDiskIO() {
+        const requests = [].concat(...this.pendingStalls.map(({ stall }) => stall.requests));
+        this.emitDiskIO(this.swapDevice.complete(requests));
+
+        // The disk takes this step's faults after those it is still serving
+        const backlogEnd = this.getDiskBacklogEnd();
+        this.pendingStalls.forEach(({ process, stall }) => {
+            let wait = 0;
+            if (stall.requests.length > 0) {
+                const arrival = stall.requests[0].arrival;
+                const end = Math.max(...stall.requests.map(request => request.end));
+                let service = 0;
+                stall.requests.forEach(request => {
+                    const time = request.end - request.start;
+                    stall[request.type === 'read' ? 'swapRead' : 'swapWrite'] += time;
+                    service += time;
+                });
+                stall.diskQueue += end - arrival - service;
+                wait = end - arrival;
+            }
+            if (process && process.blockedUntil === Infinity) {
+                process.blockedUntil = backlogEnd + this.getBlockedTime(wait);
+            }
+            this.recordLatency(process, stall);
+        });
+        this.pendingStalls = [];
+    }
+
+    /**
+     * Notify listeners of served disk requests
+     */
+    emitDiskIO(requests) {
+        requests.forEach(request => this.emit('onDiskIO', null, { request }));
+    }
+
+    /**
+     * Choose the disk scheduling algorithm (FCFS | SSTF | SCAN | CLOOK)
+     */
+    setDiskScheduler(scheduler) {
+        this.swapDevice.setScheduler(scheduler);
+        this.config.diskScheduler = scheduler;
+        this.recordChange();
+    }
+
+    /**
+     * Account a finished access: one RAM access plus whatever its fault cost
+     */
+    recordLatency(process, stall) {
+        const stallTime = stall.faultService + stall.swapRead + stall.swapWrite + stall.diskQueue;
+
+        this.latency.accesses++;
+        this.latency.memory += this.config.memoryAccessTime;
+        this.latency.faultService += stall.faultService;
+        this.latency.swapRead += stall.swapRead;
+        this.latency.swapWrite += stall.swapWrite;
+        this.latency.diskQueue += stall.diskQueue;
+
+        if (process) {
+            process.recordStall(stallTime);
+        }
+    }
+
+    /**
+     * Record the accesses and access time of one step
+     */
+    recordLatencyStep(accesses, time) {
+        this.latency.recent.push({ accesses, time });
+        if (this.latency.recent.length > 20) {
+            this.latency.recent.shift();
+        }
+    }
+
+    /**
+     * Time spent in all accesses so far (ns)
+     */
+    getTotalAccessTime() {
+        const { memory, faultService, swapRead, swapWrite, diskQueue } = this.latency;
+        return memory + faultService + swapRead + swapWrite + diskQueue;
+    }
+
+    /**
+     * Effective Access Time in ns: mean time per access over the run,
+     * EAT = (1 - p) × memory + p × (fault service + disk queue + swap I/O + memory)
+     */
+    getEffectiveAccessTime() {
+        return this.latency.accesses > 0 ? this.getTotalAccessTime() / this.latency.accesses : 0;
+    }
+
+    /**
+     * Effective Access Time in ns over the last 20 steps
+     */
+    getRecentAccessTime() {
+        const accesses = this.latency.recent.reduce((sum, s) => sum + s.accesses, 0);
+        const time = this.latency.recent.reduce((sum, s) => sum + s.time, 0);
+        return accesses > 0 ? time / accesses : 0;
+    }
+
+    /**
+     * Get processes that are neither suspended nor killed
+     */
+    getActiveProcesses() {
+        return this.processes.filter(p => p.isRunning());
+    }
+
+    /**
+     * Get quota and resident frame count per process
+     */
+    getProcessQuotas() {
+        return this.processes.map(process => ({
+            id: process.id,
+            name: process.name,
+            icon: process.icon,
+            color: process.color,
+            priority: process.priority,
+            quota: process.frameQuota,
+            resident: process.getPagesInRAM().length,
+            state: process.state,
+            stallTime: process.stallTime
+        }));
+    }
+
     /**
      * Allocate initial pages of a process to RAM
      */
     allocateInitialPages(process) {
         for (const page of process.pages) {
-            if (this.freeFrames.length > 0) {
+            if (this.freeFrames.length > 0 && !this.isAtQuota(process)) {
                 this.allocatePageToFrame(page);
             } else {
                 // RAM full, need to allocate to swap
-                const block = this.swapSystem.allocateBlock(page);
-                if (block && this.callbacks.onPageSwappedOut) {
-                    this.callbacks.onPageSwappedOut(page, block);
+                // (swap full too: the page stays unbacked until its first fault)
+                const block = this.swapSystem.allocateBlock(page, this.simulationTime);
+                if (block) {
+                    this.emit('onPageSwappedOut', page.processId, { page, block });
                 }
             }
         }
@@ -191,25 +718,26 @@ class SimulationEngine {
         // Update policy
         this.policy.onPageLoad(page, this.simulationTime);
 
-        // Notify callback
-        if (this.callbacks.onPageAllocated) {
-            this.callbacks.onPageAllocated(page, frame);
-        }
+        this.emit('onPageAllocated', page.processId, { page, frame });
 
         return true;
     }
 
     /**
      * Access a page - core simulation step
+     * @param {Page} page - The page to access
+     * @param {boolean} isWrite - Whether the access modifies the page
      */
-    accessPage(page) {
+    accessPage(page, isWrite = false) {
         if (!page) return;
 
         this.stats.memoryAccesses++;
+        const stall = { faultService: 0, swapRead: 0, swapWrite: 0, diskQueue: 0, requests: [] };
+        this.currentStall = stall;
 
         const process = this.processes.find(p => p.id === page.processId);
         if (process) {
-            process.recordAccess();
+            process.recordAccess(page, this.simulationTime);
         }
 
         if (page.location === 'ram') {
@@ -217,13 +745,55 @@ class SimulationEngine {
             this.stats.hitCount++;
             this.policy.onPageAccess(page, this.simulationTime);
 
-            if (this.callbacks.onPageAccessed) {
-                this.callbacks.onPageAccessed(page, 'hit');
-            }
+            this.emit('onPageAccessed', page.processId, { page, result: 'hit' });
         } else {
             // Page fault!
             this.handlePageFault(page);
         }
+
+        // Writes set the dirty bit once the page is resident
+        // (not if the OOM killer took its process instead)
+        if (isWrite && page.location === 'ram') {
+            page.markDirty();
+            this.dropSwapCopy(page);
+        }
+
+        this.currentStall = null;
+        this.pendingStalls.push({ process, stall });
+    }
+
+    /**
+     * Free the swap block holding a resident page's copy (stale after a write)
+     */
+    dropSwapCopy(page) {
+        if (!page.hasSwapCopy()) return;
+
+        this.swapSystem.releaseBlock(page.swapCopyBlockId);
+        page.swapCopyBlockId = null;
+    }
+
+    /**
+     * Make sure a victim can be written to swap. With every block taken,
+     * drop a clean copy instead: the faulting page's own first, then those
+     * of resident pages. They stay clean in RAM, but have to be written
+     * again when evicted
+     * @param {Page|null} faulting - Page being swapped in
+     * @returns {boolean} - false if every block holds the only copy of a page
+     */
+    reclaimSwapSpace(faulting = null) {
+        if (this.swapSystem.hasFreeBlock()) return true;
+
+        if (faulting && faulting.location === 'disk' && faulting.diskBlockId !== null) {
+            this.swapSystem.releaseBlock(faulting.diskBlockId);
+            faulting.diskBlockId = null;
+            return true;
+        }
+
+        const copy = this.getResidentPages().find(page => page.hasSwapCopy());
+        if (!copy) return false;
+
+        this.dropSwapCopy(copy);
+        return true;
     }
 
     /**
@@ -232,103 +802,458 @@ class SimulationEngine {
     handlePageFault(page) {
         // Record statistics
         this.stats.totalPageFaults++;
-        this.stats.pageFaultTimes.push(Date.now());
-
-        // Clean old fault times (keep last second)
-        const now = Date.now();
-        this.stats.pageFaultTimes = this.stats.pageFaultTimes.filter(
-            t => now - t < 1000
-        );
-        this.stats.pageFaultsThisSecond = this.stats.pageFaultTimes.length;
+        this.stats.pageFaultTimes.push(this.simulationTime);
+        while (this.simulationTime - this.stats.pageFaultTimes[0] >= 1000) {
+            this.stats.pageFaultTimes.shift();
+        }
 
         const process = this.processes.find(p => p.id === page.processId);
         if (process) {
             process.recordPageFault();
+            if (this.isCPUModelEnabled()) {
+                this.blockOnFault(process);
+            }
         }
 
         // Notify page fault
-        if (this.callbacks.onPageFault) {
-            this.callbacks.onPageFault(page);
-        }
+        this.emit('onPageFault', page.processId, { page });
+        this.chargeStall('faultService', this.config.faultServiceTime);
 
-        // Need to bring page into RAM
-        if (this.freeFrames.length === 0) {
-            // RAM full - need to evict
-            this.evictPage();
-        }
+        this.policy.onPageFault(page, this.simulationTime);
 
-        // Free the disk block if page was on disk
+        // Read the page from disk - its block stays as a clean copy. This
+        // comes before the eviction below, which may write the victim into
+        // that very block once reclaimSwapSpace() has freed it. A page with a
+        // block always gets a frame: freeing the block makes room for the
+        // victim, so the out-of-memory path is never taken
         if (page.location === 'disk' && page.diskBlockId !== null) {
-            this.swapSystem.freeBlock(page.diskBlockId);
+            const block = this.swapSystem.blocks[page.diskBlockId];
+            this.swapSystem.readBlock(block.id, this.simulationTime);
             this.stats.swapInCount++;
+            this.submitDiskIO('read', block, page);
+
+            this.emit('onPageSwappedIn', page.processId, { page, block });
+        }
 
-            if (this.callbacks.onPageSwappedIn) {
-                this.callbacks.onPageSwappedIn(page);
+        // RAM full (or quota used up) - need to evict
+        while (this.freeFrames.length === 0 || this.isAtQuota(process)) {
+            if (this.reclaimSwapSpace(page)) {
+                this.evictPage(process);
+                break;
             }
+
+            // Nowhere to write a victim: out of memory
+            const killed = this.oomKill(page);
+            if (!killed || killed === process) return;
+        }
+
+        // Allocate page to RAM - the faulting access references it
+        // (R = 1, counted), so Clock gives a new page its second chance
+        if (this.allocatePageToFrame(page)) {
+            page.access(this.simulationTime);
         }
+    }
 
-        // Allocate page to RAM
-        this.allocatePageToFrame(page);
+    /**
+     * Pages the policy may evict to make room for a fault
+     * Global scope: every resident page. Local scope: the faulting process
+     * replaces its own pages once it holds its quota; below quota it takes a
+     * frame from a process that holds more than its quota
+     * @param {Process|null} process - The faulting process
+     */
+    getReplacementCandidates(process) {
+        const resident = this.getResidentPages();
+        if (this.config.replacementScope !== 'local' || !process) {
+            return resident;
+        }
 
-        // Check thrashing
-        this.checkThrashing();
+        const own = resident.filter(page => page.processId === process.id);
+        if (own.length > 0 && own.length >= process.frameQuota) {
+            return own;
+        }
+
+        // Below quota: take a frame from a process holding more than its share
+        const residentCounts = new Map();
+        resident.forEach(page => {
+            residentCounts.set(page.processId, (residentCounts.get(page.processId) || 0) + 1);
+        });
+        const overQuota = new Set(this.processes
+            .filter(p => residentCounts.get(p.id) > p.frameQuota)
+            .map(p => p.id));
+        const donors = resident.filter(page => overQuota.has(page.processId));
+
+        if (donors.length > 0) return donors;
+        return own.length > 0 ? own : resident;
+    }
+
+    /**
+     * Whether local replacement keeps a process from taking another frame
+     * Quotas bind only under local scope; global replacement ignores them
+     */
+    isAtQuota(process) {
+        if (this.config.replacementScope !== 'local' || !process || process.frameQuota === null) {
+            return false;
+        }
+        return process.getPagesInRAM().length >= process.frameQuota;
+    }
+
+    /**
+     * Evict pages of a process until it fits its quota (local replacement)
+     */
+    trimResidentSet(process) {
+        if (this.config.replacementScope !== 'local') return;
+
+        // Only as far as swap has room, the rest stays until a fault evicts it
+        let own = process.getPagesInRAM();
+        while (own.length > process.frameQuota && this.reclaimSwapSpace()) {
+            this.evictFrom(own);
+            own = process.getPagesInRAM();
+        }
+    }
+
+    /**
+     * Advance simulation time by one step and let the policy age its pages
+     */
+    tick() {
+        this.simulationTime += this.config.accessInterval;
+        this.policy.onTick(this.simulationTime);
+        this.releaseExpiredPages();
+    }
+
+    /**
+     * Swap out the pages the policy releases on its own (working set),
+     * as far as swap has room
+     */
+    releaseExpiredPages() {
+        for (const page of this.policy.getExpiredPages(this.getResidentPages())) {
+            if (!this.reclaimSwapSpace()) break;
+            this.swapOutPage(page, true);
+        }
     }
 
     /**
      * Evict a page using current policy
+     * @param {Process|null} process - The faulting process (for local replacement)
      */
-    evictPage() {
-        // Get pages in RAM
-        const ramPages = [];
-        this.frames.forEach(frame => {
-            if (frame.page) {
-                ramPages.push(frame.page);
-            }
-        });
+    evictPage(process = null) {
+        this.evictFrom(this.getReplacementCandidates(process));
+    }
 
+    /**
+     * Let the policy pick a victim among ramPages and swap it out
+     * @param {Page[]} ramPages - Eviction candidates
+     */
+    evictFrom(ramPages) {
         // Select victim
         const victim = this.policy.selectVictim(ramPages);
         if (!victim) return;
 
+        // Notify clock hand movement
+        const sweep = this.policy.getLastSweep();
+        if (sweep) {
+            this.emit('onPolicySweep', victim.processId, { sweep });
+        }
+
+        this.swapOutPage(victim, true);
+    }
+
+    /**
+     * Free a page's frame and move the page to swap. A dirty page (or one
+     * never written to swap) is written back; a clean page with a swap copy
+     * is discarded without I/O. Callers make sure a swap block is free
+     * @param {Page} page - Page in RAM
+     * @param {boolean} byPolicy - Whether the replacement policy chose it
+     */
+    swapOutPage(page, byPolicy = false) {
         // Find and free the frame
-        const frame = this.frames[victim.frameId];
+        const frame = this.frames[page.frameId];
         if (frame) {
             frame.free();
             this.freeFrames.push(frame);
         }
 
         // Notify eviction
-        if (this.callbacks.onPageEvicted) {
-            this.callbacks.onPageEvicted(victim, frame);
+        if (byPolicy) {
+            this.emit('onPageEvicted', page.processId, { page, frame });
         }
 
         // Notify policy
         if (this.policy.onEvict) {
-            this.policy.onEvict(victim);
+            this.policy.onEvict(page);
         }
 
         // Swap out to disk
-        const block = this.swapSystem.allocateBlock(victim);
+        const written = !page.hasSwapCopy();
+        let block;
+        if (written) {
+            block = this.swapSystem.allocateBlock(page, this.simulationTime);
+            this.stats.writeBacks++;
+            this.submitDiskIO('write', block, page);
+        } else {
+            block = this.swapSystem.discardPage(page);
+            this.stats.cleanDiscards++;
+        }
         this.stats.swapOutCount++;
+        if (this.currentDelta) {
+            this.currentDelta.swappedOut.push(page.id);
+        }
+
+        this.emit('onPageSwappedOut', page.processId, { page, block, written });
+    }
+
+    /**
+     * Suspend a process: swap out all of its pages and stop its accesses
+     * @param {Process} process
+     * @param {string} reason - Shown in the event log
+     */
+    suspendProcess(process, reason = '') {
+        if (!process.isRunning()) return;
+
+        // Every resident page without a clean copy needs a swap block
+        const unbacked = process.getPagesInRAM().filter(page => !page.hasSwapCopy()).length;
+        if (unbacked > this.swapSystem.freeBlocks.length) return;
+
+        process.suspend(this.simulationTime);
+        process.getPagesInRAM().forEach(page => this.swapOutPage(page));
+
+        this.workloadGenerator.setProcesses(this.getActiveProcesses());
+        this.reallocateFrames();
+
+        this.emit('onProcessSuspended', process.id, { process, reason });
+    }
+
+    /**
+     * Resume a suspended process; its pages fault back in on demand
+     * @param {Process} process
+     * @param {string} reason - Shown in the event log
+     */
+    resumeProcess(process, reason = '') {
+        if (!process.isSuspended()) return;
+
+        process.resume();
+        this.workloadGenerator.setProcesses(this.getActiveProcesses());
+        this.reallocateFrames();
+
+        this.emit('onProcessResumed', process.id, { process, reason });
+    }
+
+    /**
+     * OOM badness of a process, like Linux oom_score: the share of all memory
+     * (RAM frames + swap blocks) its pages hold, in 1/1000ths, plus its oomScoreAdj
+     * @returns {number} - At least 1; 0 if the process may not be killed
+     */
+    getBadness(process) {
+        if (process.isKilled() || process.oomScoreAdj <= -1000) return 0;
 
-        if (this.callbacks.onPageSwappedOut) {
-            this.callbacks.onPageSwappedOut(victim, block);
+        const total = this.config.ramFrames + this.swapSystem.blockCount;
+        const held = process.pages.filter(page => page.location !== 'none').length;
+        return Math.max(1, Math.round(held * 1000 / total) + process.oomScoreAdj);
+    }
+
+    /**
+     * Out-of-memory killer: a fault needs a frame, RAM is full and swap has
+     * no block left for a victim. Kills the process with the highest badness
+     * (the earliest started on a tie)
+     * @param {Page} page - The page that could not be brought in
+     * @returns {Process|null} - The killed process, null if none may be killed
+     */
+    oomKill(page) {
+        let victim = null;
+        let victimBadness = 0;
+        this.processes.forEach(process => {
+            const badness = this.getBadness(process);
+            if (badness > victimBadness) {
+                victim = process;
+                victimBadness = badness;
+            }
+        });
+
+        if (victim) {
+            this.killProcess(victim, `Out of memory: no frame or swap block for ${page.getLabel()} (${victim.name} badness ${victimBadness})`);
+        }
+        return victim;
+    }
+
+    /**
+     * Terminate a process and free every frame and swap block it holds
+     * @param {Process} process
+     * @param {string} reason - Shown in the event log
+     */
+    killProcess(process, reason = '') {
+        if (process.isKilled()) return;
+
+        const badness = this.getBadness(process);
+        const frames = [];
+        const blocks = [];
+
+        process.pages.forEach(page => {
+            this.policy.onPageFree(page);
+
+            if (page.location === 'ram') {
+                const frame = this.frames[page.frameId];
+                frame.free();
+                this.freeFrames.push(frame);
+                frames.push(frame.id);
+                if (page.hasSwapCopy()) {
+                    this.swapSystem.releaseBlock(page.swapCopyBlockId);
+                    blocks.push(page.swapCopyBlockId);
+                }
+            } else if (page.location === 'disk' && page.diskBlockId !== null) {
+                this.swapSystem.releaseBlock(page.diskBlockId);
+                blocks.push(page.diskBlockId);
+            }
+            page.release();
+        });
+
+        process.kill(this.simulationTime);
+        this.stats.oomKills++;
+
+        this.workloadGenerator.setProcesses(this.getActiveProcesses());
+        this.reallocateFrames();
+
+        this.emit('onProcessKilled', process.id, { process, reason, badness, frames, blocks });
+    }
+
+    /**
+     * Medium-term scheduler: while thrashing, suspend the lowest-priority
+     * process; once the system is calm and the working sets fit in RAM again,
+     * resume the highest-priority suspended one. Waits loadControlCooldown
+     * steps between decisions so each change can take effect; a process that
+     * keeps getting suspended waits twice as long each time (up to 8x)
+     */
+    applyLoadControl() {
+        if (!this.config.loadControl) return;
+
+        this.stepsSinceLoadControl++;
+        if (this.stepsSinceLoadControl < this.config.loadControlCooldown) return;
+
+        const active = this.getActiveProcesses();
+        const suspended = this.processes.filter(p => p.isSuspended());
+
+        if (this.isThrashing && active.length > 1) {
+            // Lowest priority first, the largest resident set frees the most frames
+            const victim = [...active].sort((a, b) =>
+                a.priority - b.priority ||
+                b.getPagesInRAM().length - a.getPagesInRAM().length
+            )[0];
+            this.suspendProcess(victim, 'Thrashing - reducing the degree of multiprogramming');
+            this.stepsSinceLoadControl = 0;
+        } else if (!this.isThrashing && suspended.length > 0) {
+            const next = [...suspended].sort((a, b) =>
+                b.priority - a.priority || a.suspendedAt - b.suspendedAt
+            )[0];
+
+            // Working set principle: only resume if every working set still fits
+            const demand = active.reduce((sum, p) => sum + p.measuredWorkingSet, 0) + next.suspendedWorkingSet;
+            const backoff = Math.min(8, Math.pow(2, next.suspendCount - 1));
+            const waited = this.stepsSinceLoadControl >= this.config.loadControlCooldown * backoff;
+            if (waited && demand <= this.config.ramFrames) {
+                this.resumeProcess(next, `Fault rate recovered, working sets fit (${demand}/${this.config.ramFrames} frames)`);
+                this.stepsSinceLoadControl = 0;
+            }
+        }
+    }
+
+    /**
+     * Enable or disable load control; disabling resumes every suspended process
+     */
+    setLoadControl(enabled) {
+        this.config.loadControl = enabled;
+        this.stepsSinceLoadControl = 0;
+
+        if (!enabled) {
+            this.processes
+                .filter(p => p.isSuspended())
+                .forEach(p => this.resumeProcess(p, 'Load control disabled'));
         }
+        this.recordChange();
     }
 
     /**
-     * Check for thrashing condition
+     * Choose the thrashing detection rule (ioRate | faultRatio | workingSet)
+     */
+    setThrashingRule(rule) {
+        if (!THRASHING_RULES.includes(rule)) {
+            throw new Error(`Unknown thrashing rule "${rule}"`);
+        }
+        this.config.thrashingRule = rule;
+        this.checkThrashing();
+        this.recordChange();
+    }
+
+    /**
+     * Detection window in simulation time
+     */
+    getThrashingWindowTime() {
+        return this.config.thrashingWindow * this.config.accessInterval;
+    }
+
+    /**
+     * Page faults per simulated second
+     */
+    getFaultsPerSecond() {
+        const now = this.simulationTime;
+        return this.stats.pageFaultTimes.filter(t => now - t < 1000).length;
+    }
+
+    /**
+     * Measure the active thrashing rule over the detection window
+     * Uses simulation time only, so the verdict is the same at any speed
+     * @returns {Object} - { value, threshold, level, isThrashing }
+     */
+    evaluateThrashingRule() {
+        let value;
+        let threshold;
+
+        switch (this.config.thrashingRule) {
+            case 'faultRatio': {
+                // % of accesses in the window that faulted
+                const accesses = this.recentSteps.reduce((sum, s) => sum + s.accesses, 0);
+                const faults = this.recentSteps.reduce((sum, s) => sum + s.faults, 0);
+                value = accesses > 0 ? faults / accesses * 100 : 0;
+                threshold = this.config.thrashingFaultRatio;
+                break;
+            }
+            case 'workingSet':
+                // Working set principle: the working sets no longer fit
+                value = this.getActiveProcesses().reduce((sum, p) => sum + p.measuredWorkingSet, 0);
+                threshold = this.config.ramFrames;
+                return {
+                    value,
+                    threshold,
+                    level: value / threshold * 100,
+                    isThrashing: value > threshold
+                };
+            default:
+                // Swap operations in the window
+                value = this.swapSystem.getOperationCount(this.simulationTime, this.getThrashingWindowTime());
+                threshold = this.config.thrashingIOThreshold;
+        }
+
+        return {
+            value,
+            threshold,
+            level: threshold > 0 ? value / threshold * 100 : 0,
+            isThrashing: value >= threshold
+        };
+    }
+
+    /**
+     * Check for thrashing condition (once per step)
      */
     checkThrashing() {
-        const ioRate = this.swapSystem.getIORate();
         const wasThrashing = this.isThrashing;
+        const result = this.evaluateThrashingRule();
 
-        this.isThrashing = ioRate >= this.thrashingThreshold;
+        this.isThrashing = result.isThrashing;
+        this.thrashingLevel = result.level;
 
         if (wasThrashing !== this.isThrashing) {
-            if (this.callbacks.onThrashingChange) {
-                this.callbacks.onThrashingChange(this.isThrashing);
-            }
+            this.emit('onThrashingChange', null, {
+                isThrashing: this.isThrashing,
+                level: this.thrashingLevel,
+                rule: this.config.thrashingRule
+            });
         }
     }
 
@@ -336,28 +1261,170 @@ class SimulationEngine {
      * Run one simulation step
      */
     step() {
-        // Generate memory accesses
-        const accesses = this.workloadGenerator.generateBatch(1);
+        // Generate memory accesses one at a time so OPT sees the rest of the batch
+        // Each access is one CPU slot; with the CPU model, blocked processes
+        // cannot run and the slot stays idle if nobody is ready
+        if (!this.isReplaying && this.history.needsCheckpoint(this.stepCount)) {
+            this.history.addCheckpoint(this.stepCount, this.serialize());
+        }
+        const delta = { time: 0, refs: [], faults: [], swappedOut: [], thrashing: false };
+        this.currentDelta = delta;
+
+        const batchSize = this.workloadGenerator.getBatchSize(1);
+        const isReady = this.isCPUModelEnabled() ? (process) => this.isProcessReady(process) : null;
+        let busySlots = 0;
+        const faultsBefore = this.stats.totalPageFaults;
+        const accessTimeBefore = this.getTotalAccessTime();
+
+        for (let i = 0; i < batchSize; i++) {
+            const access = this.workloadGenerator.nextAccess(isReady);
+            if (access) {
+                const faults = this.stats.totalPageFaults;
+                this.accessPage(access.page, access.isWrite);
+                busySlots++;
+
+                delta.refs.push(access.page.id);
+                if (this.stats.totalPageFaults > faults) {
+                    delta.faults.push(access.page.id);
+                }
+            }
+        }
+        this.recordCPU(busySlots, batchSize);
+        this.completeDiskIO();
+        this.recordLatencyStep(busySlots, this.getTotalAccessTime() - accessTimeBefore);
+
+        // Transfers issued outside accesses go on while the processes run
+        this.emitDiskIO(this.swapDevice.advance(this.getTotalAccessTime()));
 
-        for (const access of accesses) {
-            this.accessPage(access.page);
+        // Fault ratio window for thrashing detection
+        this.recentSteps.push({ accesses: busySlots, faults: this.stats.totalPageFaults - faultsBefore });
+        while (this.recentSteps.length > this.config.thrashingWindow) {
+            this.recentSteps.shift();
         }
 
         // Advance simulation time
-        this.simulationTime += this.config.accessInterval;
+        this.tick();
+
+        // Measure each process's working set
+        const tau = this.getWorkingSetWindowTime();
+        this.processes.forEach(process => process.updateWorkingSet(this.simulationTime, tau));
+
+        // Page-Fault-Frequency control loop - shrunk processes release frames
+        this.frameAllocator.adjust(this.getActiveProcesses(), this.config.ramFrames).forEach(change => {
+            this.notifyQuotaChange(change);
+            if (change.newQuota < change.oldQuota) {
+                this.trimResidentSet(change.process);
+            }
+        });
 
         // Check thrashing
         this.checkThrashing();
+        if (this.isThrashing) {
+            this.stats.thrashingTime += this.config.accessInterval;
+        }
+
+        // Suspend or resume whole processes
+        this.applyLoadControl();
+
+        this.currentDelta = null;
+        this.stepCount++;
+        delta.time = this.simulationTime;
+        delta.thrashing = this.isThrashing;
+        if (!this.isReplaying) {
+            this.recordStep(delta);
+        }
+
+        // Notify step complete and stats update (stats only gathered if someone listens)
+        if (this.isReplaying) return;
+        if (this.events.hasListeners('onSimulationStep') || this.events.hasListeners('onStatsUpdate')) {
+            const stats = this.getStats();
+            this.emit('onSimulationStep', null, { stats });
+            this.emit('onStatsUpdate', null, { stats });
+        }
+    }
 
-        // Notify step complete
-        if (this.callbacks.onSimulationStep) {
-            this.callbacks.onSimulationStep(this.getStats());
+    /**
+     * Add a finished step to the history
+     * Stepping into a step whose state was changed afterwards (after
+     * rewinding past a config change, say) re-applies that change
+     */
+    recordStep(delta) {
+        if (!this.history.isEnabled()) return;
+
+        this.history.recordDelta(this.stepCount, delta);
+        const checkpoint = this.history.getCheckpointAt(this.stepCount);
+        if (checkpoint && checkpoint.changed) {
+            this.applySnapshot(checkpoint.snapshot);
+            this.emit('onHistorySeek', null, { step: this.stepCount, stats: this.getStats() });
+        } else if (this.history.needsCheckpoint(this.stepCount)) {
+            this.history.addCheckpoint(this.stepCount, this.serialize());
         }
+    }
+
+    /**
+     * The state was changed between steps (config, processes, controls):
+     * the recorded future no longer follows from it, so drop it and
+     * checkpoint the present
+     */
+    recordChange() {
+        if (!this.history.isEnabled()) return;
+
+        this.history.truncate(this.stepCount);
+        this.history.addCheckpoint(this.stepCount, this.serialize(), true);
+    }
+
+    /**
+     * Go to a recorded step, backwards or forwards: restore the closest
+     * checkpoint before it and replay the steps in between without events
+     * @param {number} step - Clamped to the recorded range
+     * @returns {number} - The step reached
+     */
+    seek(step) {
+        const { first, last } = this.history.getRange();
+        const target = Math.max(first, Math.min(last, Math.round(step)));
+        const checkpoint = this.history.getCheckpointBefore(target);
+        if (!checkpoint) return this.stepCount;
+
+        this.pause();
+        this.applySnapshot(checkpoint.snapshot);
 
-        // Notify stats update
-        if (this.callbacks.onStatsUpdate) {
-            this.callbacks.onStatsUpdate(this.getStats());
+        this.isReplaying = true;
+        while (this.stepCount < target) {
+            this.step();
         }
+        this.isReplaying = false;
+
+        this.emit('onHistorySeek', null, { step: this.stepCount, stats: this.getStats() });
+        return this.stepCount;
+    }
+
+    /**
+     * Undo the last step
+     * @returns {number} - The step reached
+     */
+    stepBack() {
+        return this.seek(this.stepCount - 1);
+    }
+
+    /**
+     * Whether an earlier step is still recorded
+     */
+    canStepBack() {
+        return this.stepCount > this.history.getFirstStep();
+    }
+
+    /**
+     * Recorded steps and the current position
+     * @returns {Object} - { first, last, current, delta } - delta of the current step
+     */
+    getHistory() {
+        const { first, last } = this.history.getRange();
+        return {
+            first,
+            last: Math.max(last, this.stepCount),
+            current: this.stepCount,
+            delta: this.history.getDelta(this.stepCount)
+        };
     }
 
     /**
@@ -379,7 +1446,7 @@ class SimulationEngine {
     pause() {
         this.isPaused = true;
         if (this.animationFrameId) {
-            cancelAnimationFrame(this.animationFrameId);
+            cancelFrame(this.animationFrameId);
             this.animationFrameId = null;
         }
     }
@@ -399,7 +1466,39 @@ class SimulationEngine {
             this.lastStepTime = now;
         }
 
-        this.animationFrameId = requestAnimationFrame(() => this.runLoop());
+        this.animationFrameId = scheduleFrame(() => this.runLoop());
+    }
+
+    /**
+     * Run a number of steps synchronously, without the real-time loop
+     * @param {number} steps
+     * @returns {Object} - getStats() after the last step
+     */
+    runFor(steps) {
+        for (let i = 0; i < steps; i++) {
+            this.step();
+        }
+        return this.getStats();
+    }
+
+    /**
+     * Step synchronously until the predicate holds (checked after every step)
+     * @param {Function} predicate - (stats, engine) => boolean
+     * @param {number} maxSteps - Gives up after this many steps
+     * @returns {Object} - getStats() of the final step, with reached = whether the predicate held
+     */
+    runUntil(predicate, maxSteps = 100000) {
+        let stats = this.getStats();
+        let reached = predicate(stats, this);
+
+        for (let steps = 0; !reached && steps < maxSteps; steps++) {
+            this.step();
+            stats = this.getStats();
+            reached = predicate(stats, this);
+        }
+
+        stats.reached = reached;
+        return stats;
     }
 
     /**
@@ -414,12 +1513,18 @@ class SimulationEngine {
      */
     setIntensity(intensity) {
         this.workloadGenerator.setIntensity(intensity);
+        this.recordChange();
     }
 
     /**
      * Load a scenario
+     * @throws {Error} If the scenario names an unknown policy (the run is kept)
      */
     loadScenario(scenario) {
+        // Check before the reset, so a typo does not wipe the run
+        if (scenario.config.policy !== undefined) {
+            requirePolicyEntry(scenario.config.policy);
+        }
         this.reset();
 
         // Apply config
@@ -429,27 +1534,158 @@ class SimulationEngine {
         for (const procDef of scenario.processes) {
             this.addProcess(procDef.name, procDef.pages, {
                 locality: procDef.locality,
-                icon: procDef.icon
+                icon: procDef.icon,
+                priority: procDef.priority,
+                oomScoreAdj: procDef.oomScoreAdj,
+                writeRatio: procDef.writeRatio
             });
         }
     }
 
+    /**
+     * Capture the complete simulation state as plain, JSON-safe data:
+     * config, frames, swap blocks, pages, processes, policy internals,
+     * workload queue, statistics and the RNG position
+     * @returns {Object} - Snapshot for restore()
+     */
+    serialize() {
+        return {
+            version: SNAPSHOT_VERSION,
+            config: Object.assign({}, this.config),
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            simulationTime: this.simulationTime,
+            stepCount: this.stepCount,
+            pageIdCounter: this.pageIdCounter,
+
+            pages: Array.from(this.allPages.values()).map(page => page.serialize()),
+            processes: this.processes.map(process => process.serialize()),
+            frames: this.frames.map(frame => frame.page ? frame.page.id : null),
+            freeFrames: this.freeFrames.map(frame => frame.id),
+            swap: this.swapSystem.serialize(),
+
+            policy: this.policy.serialize(),
+            workload: this.workloadGenerator.serialize(),
+            frameAllocator: this.frameAllocator.serialize(),
+
+            stats: JSON.parse(JSON.stringify(this.stats)),
+            isThrashing: this.isThrashing,
+            thrashingLevel: this.thrashingLevel,
+            recentSteps: this.recentSteps.map(s => Object.assign({}, s)),
+            stepsSinceLoadControl: this.stepsSinceLoadControl,
+            diskFreeAt: this.diskFreeAt,
+            cpu: {
+                busySlots: this.cpu.busySlots,
+                totalSlots: this.cpu.totalSlots,
+                recent: this.cpu.recent.map(s => Object.assign({}, s)),
+                byDegree: Array.from(this.cpu.byDegree).map(([degree, bucket]) => [degree, Object.assign({}, bucket)])
+            },
+            latency: JSON.parse(JSON.stringify(this.latency)),
+            swapDevice: this.swapDevice.serialize()
+        };
+    }
+
+    /**
+     * Replace the simulation state with a snapshot from serialize()
+     * Stepping on from the restored state continues the saved run exactly.
+     * No page events are emitted; listeners rebuild their view from the engine
+     * @param {Object} snapshot
+     * @throws {Error} If the snapshot version is not supported
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version ${snapshot ? snapshot.version : snapshot}`);
+        }
+
+        this.pause();
+        this.isRunning = false;
+        this.applySnapshot(snapshot);
+
+        // History starts over from the restored step
+        this.history.clear();
+        this.history.configure(this.config.historyInterval, this.config.historyLimit);
+        this.recordChange();
+    }
+
+    /**
+     * Load a snapshot's state (restore() and rewinding)
+     */
+    applySnapshot(snapshot) {
+        // Keys missing from older snapshots keep their current values
+        this.config = Object.assign({}, this.config, snapshot.config);
+
+        // Pages and processes
+        this.allPages = new Map(snapshot.pages.map(data => [data.id, Page.restore(data)]));
+        this.processes = snapshot.processes.map(data => Process.restore(data, this.allPages));
+        this.pageIdCounter = snapshot.pageIdCounter;
+        this.simulationTime = snapshot.simulationTime;
+        this.stepCount = snapshot.stepCount || 0;
+
+        // Frames, in the same free-list order
+        this.initializeFrames();
+        snapshot.frames.forEach((pageId, i) => {
+            if (pageId !== null) {
+                this.frames[i].allocate(this.allPages.get(pageId));
+            }
+        });
+        this.freeFrames = snapshot.freeFrames.map(id => this.frames[id]);
+        this.swapSystem.restore(snapshot.swap, this.allPages);
+
+        // Workload, continuing the random sequence where it was saved
+        this.seed = snapshot.seed;
+        this.rng.setSeed(snapshot.seed);
+        this.rng.setState(snapshot.rngState);
+        this.workloadGenerator.setProcesses(this.getActiveProcesses());
+        this.workloadGenerator.restore(snapshot.workload, this.allPages);
+        this.frameAllocator.restore(snapshot.frameAllocator);
+
+        // Policy and its internals
+        this.policy = createPolicy(this.config.policy, this);
+        this.policy.restore(snapshot.policy, this.allPages);
+
+        // Statistics and detectors
+        this.stats = JSON.parse(JSON.stringify(snapshot.stats));
+        this.isThrashing = snapshot.isThrashing;
+        this.thrashingLevel = snapshot.thrashingLevel;
+        this.recentSteps = snapshot.recentSteps.map(s => Object.assign({}, s));
+        this.stepsSinceLoadControl = snapshot.stepsSinceLoadControl;
+        this.diskFreeAt = snapshot.diskFreeAt || 0;
+        this.cpu = {
+            busySlots: snapshot.cpu.busySlots,
+            totalSlots: snapshot.cpu.totalSlots,
+            recent: snapshot.cpu.recent.map(s => Object.assign({}, s)),
+            byDegree: new Map(snapshot.cpu.byDegree.map(([degree, bucket]) => [degree, Object.assign({}, bucket)]))
+        };
+        this.latency = Object.assign(this.createLatencyStats(), snapshot.latency
+            ? JSON.parse(JSON.stringify(snapshot.latency))
+            : {});
+        this.pendingStalls = [];
+        this.configureSwapDevice();
+        if (snapshot.swapDevice) {
+            this.swapDevice.restore(snapshot.swapDevice);
+        } else {
+            this.swapDevice.reset();
+        }
+    }
+
     /**
      * Get current statistics
      */
     getStats() {
         const ramUsage = this.frames.filter(f => f.isOccupied()).length;
         const ramUtilization = (ramUsage / this.config.ramFrames) * 100;
-        const swapStats = this.swapSystem.getStats();
+        const swapStats = this.swapSystem.getStats(this.simulationTime);
 
         return {
             // Page faults
             totalPageFaults: this.stats.totalPageFaults,
-            pageFaultsPerSecond: this.stats.pageFaultsThisSecond,
+            pageFaultsPerSecond: this.getFaultsPerSecond(),
 
             // Swap operations
             swapInCount: this.stats.swapInCount,
             swapOutCount: this.stats.swapOutCount,
+            writeBacks: this.stats.writeBacks,
+            cleanDiscards: this.stats.cleanDiscards,
             diskIORate: swapStats.ioRate,
 
             // Memory usage
@@ -469,13 +1705,47 @@ class SimulationEngine {
 
             // Thrashing
             isThrashing: this.isThrashing,
-            thrashingLevel: Math.min(100, (swapStats.ioRate / this.thrashingThreshold) * 100),
+            thrashingLevel: Math.min(100, this.thrashingLevel),
+            thrashingRule: this.config.thrashingRule,
+            thrashingTime: this.stats.thrashingTime,
+
+            // Out of memory
+            oomKills: this.stats.oomKills,
+
+            // CPU
+            cpuUtilization: this.getCPUUtilization(),
+            activeProcesses: this.getActiveProcesses().length,
+            blockedProcesses: this.getActiveProcesses().filter(p => !this.isProcessReady(p)).length,
+            utilizationByDegree: this.getUtilizationByDegree(),
+
+            // Access time (ns)
+            memoryAccessTime: this.config.memoryAccessTime,
+            effectiveAccessTime: this.getEffectiveAccessTime(),
+            recentAccessTime: this.getRecentAccessTime(),
+            accessTimeBreakdown: {
+                memory: this.latency.memory,
+                faultService: this.latency.faultService,
+                swapRead: this.latency.swapRead,
+                swapWrite: this.latency.swapWrite,
+                diskQueue: this.latency.diskQueue
+            },
+
+            // Swap device
+            swapDevice: this.config.swapDevice,
+            disk: this.swapDevice.getStats(),
 
             // Time
             simulationTime: this.simulationTime,
+            seed: this.seed,
 
             // Policy
-            currentPolicy: this.policy.getName()
+            currentPolicy: this.policy.getName(),
+            policyStats: this.policy.getStats(),
+
+            // Frame allocation
+            allocationStrategy: this.frameAllocator.strategy,
+            replacementScope: this.config.replacementScope,
+            processQuotas: this.getProcessQuotas()
         };
     }
 
@@ -486,6 +1756,13 @@ class SimulationEngine {
         return this.frames;
     }
 
+    /**
+     * Get pages currently in RAM
+     */
+    getResidentPages() {
+        return this.frames.filter(f => f.page).map(f => f.page);
+    }
+
     /**
      * Get all pages
      */
@@ -504,40 +1781,104 @@ class SimulationEngine {
         this.allPages.clear();
         this.pageIdCounter = 0;
         this.simulationTime = 0;
+        this.stepCount = 0;
         this.isRunning = false;
         this.isPaused = false;
         this.isThrashing = false;
+        this.thrashingLevel = 0;
+        this.recentSteps = [];
+        this.stepsSinceLoadControl = 0;
+        this.diskFreeAt = 0;
+        this.cpu = this.createCPUStats();
+        this.latency = this.createLatencyStats();
+        this.pendingStalls = [];
+        this.swapDevice.reset();
 
         // Reset stats
         this.stats = {
             totalPageFaults: 0,
-            pageFaultsThisSecond: 0,
             pageFaultTimes: [],
             swapInCount: 0,
             swapOutCount: 0,
+            writeBacks: 0,
+            cleanDiscards: 0,
             memoryAccesses: 0,
-            hitCount: 0
+            hitCount: 0,
+            thrashingTime: 0,
+            oomKills: 0
         };
 
-        // Reinitialize components
+        // Reinitialize components - the run restarts from its seed, or from
+        // a fresh one (with a policy seeded from it) if none is configured
+        const isSeeded = this.config.seed !== null && this.config.seed !== undefined;
+        this.setSeed(this.config.seed);
         this.initializeFrames();
-        this.swapSystem.reset();
-        this.policy.reset();
+        this.swapSystem.resize(this.config.swapBlocks);
+        if (isSeeded) {
+            this.policy.reset();
+        } else {
+            this.setPolicy(this.config.policy);
+        }
+        this.frameAllocator.reset();
         this.workloadGenerator.reset();
         this.workloadGenerator.setProcesses([]);
+        this.history.clear();
     }
 
     /**
-     * Register event callback
+     * Subscribe to an engine event; any number of listeners may subscribe
+     * @param {string} event - A SIMULATION_EVENTS name, or '*' for every event
+     * @param {Function} callback - (payload), or (event, payload) for '*'
+     * @returns {Function} - Call to unsubscribe
+     * @throws {Error} If the event does not exist
      */
     on(event, callback) {
-        if (this.callbacks.hasOwnProperty(event)) {
-            this.callbacks[event] = callback;
+        this.checkEventName(event);
+        return this.events.on(event, callback);
+    }
+
+    /**
+     * Subscribe for the next emission of an event only
+     * @returns {Function} - Call to unsubscribe before it fires
+     */
+    once(event, callback) {
+        this.checkEventName(event);
+        return this.events.once(event, callback);
+    }
+
+    /**
+     * Unsubscribe a listener (or every listener of the event)
+     */
+    off(event, callback) {
+        this.events.off(event, callback);
+    }
+
+    checkEventName(event) {
+        if (event !== '*' && !SIMULATION_EVENTS.hasOwnProperty(event)) {
+            throw new Error(`Unknown simulation event "${event}"`);
         }
     }
+
+    /**
+     * Emit an event with the common payload fields
+     * @param {string} event
+     * @param {number|null} processId
+     * @param {Object} data - Event-specific fields
+     */
+    emit(event, processId, data) {
+        if (this.isReplaying || !this.events.hasListeners(event)) return;
+        this.events.emit(event, Object.assign({
+            event,
+            time: this.simulationTime,
+            processId
+        }, data));
+    }
 }
 
 // Export for browser
 if (typeof window !== 'undefined') {
     window.SimulationEngine = SimulationEngine;
+    window.THRASHING_RULES = THRASHING_RULES;
+    window.SIMULATION_EVENTS = SIMULATION_EVENTS;
+    window.SNAPSHOT_VERSION = SNAPSHOT_VERSION;
 }
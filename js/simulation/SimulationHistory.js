@@ -0,0 +1,158 @@
+/**
+ * SimulationHistory - Record of past steps for rewinding the simulation
+ *   checkpoints - full SimulationEngine.serialize() snapshots every `interval`
+ *                 steps, and whenever the state is changed between steps
+ *   deltas      - one compact record per step: pages referenced, faults,
+ *                 pages swapped out, thrashing flag
+ * Step n means "after n steps". Any recorded step can be rebuilt by restoring
+ * the closest checkpoint at or before it and replaying the steps in between;
+ * the run is deterministic, so the replay reproduces the recorded step
+ */
+class SimulationHistory {
+    constructor(interval = 25, limit = 2000) {
+        this.interval = interval;   // Steps between periodic checkpoints
+        this.limit = limit;         // Steps kept for rewinding (0 = no history)
+
+        this.checkpoints = [];      // [{ step, snapshot, changed }], by step
+        this.deltas = new Map();    // step -> delta of the step that led there
+        this.lastStep = 0;          // Furthest step recorded
+    }
+
+    /**
+     * Set the checkpoint interval and the number of steps kept
+     */
+    configure(interval, limit) {
+        this.interval = Math.max(1, interval);
+        this.limit = Math.max(0, limit);
+        if (this.limit === 0) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Whether steps are being recorded
+     */
+    isEnabled() {
+        return this.limit > 0;
+    }
+
+    /**
+     * First step that can be rewound to
+     */
+    getFirstStep() {
+        return this.checkpoints.length > 0 ? this.checkpoints[0].step : this.lastStep;
+    }
+
+    /**
+     * Whether a periodic checkpoint is due at a step
+     */
+    needsCheckpoint(step) {
+        if (!this.isEnabled()) return false;
+        if (this.checkpoints.length === 0) return true;
+        return step % this.interval === 0 && !this.getCheckpointAt(step);
+    }
+
+    /**
+     * Store a checkpoint, replacing one at the same step
+     * @param {number} step
+     * @param {Object} snapshot - SimulationEngine.serialize()
+     * @param {boolean} changed - The state was changed between steps, so
+     *                            stepping into it does not reproduce it
+     */
+    addCheckpoint(step, snapshot, changed = false) {
+        const checkpoint = { step, snapshot, changed };
+        const index = this.checkpoints.findIndex(c => c.step >= step);
+
+        if (index === -1) {
+            this.checkpoints.push(checkpoint);
+        } else if (this.checkpoints[index].step === step) {
+            this.checkpoints[index] = checkpoint;
+        } else {
+            this.checkpoints.splice(index, 0, checkpoint);
+        }
+        this.lastStep = Math.max(this.lastStep, step);
+    }
+
+    /**
+     * Checkpoint stored exactly at a step
+     */
+    getCheckpointAt(step) {
+        return this.checkpoints.find(c => c.step === step) || null;
+    }
+
+    /**
+     * Latest checkpoint at or before a step - where a replay to it starts
+     */
+    getCheckpointBefore(step) {
+        let found = null;
+        for (const checkpoint of this.checkpoints) {
+            if (checkpoint.step > step) break;
+            found = checkpoint;
+        }
+        return found;
+    }
+
+    /**
+     * Record the delta of the step that led to `step`
+     */
+    recordDelta(step, delta) {
+        if (!this.isEnabled()) return;
+
+        this.deltas.set(step, delta);
+        this.lastStep = Math.max(this.lastStep, step);
+        this.trim();
+    }
+
+    /**
+     * Delta of the step that led to `step` (null before the first recorded step)
+     */
+    getDelta(step) {
+        return this.deltas.get(step) || null;
+    }
+
+    /**
+     * Forget everything after a step (the state there was changed)
+     */
+    truncate(step) {
+        this.checkpoints = this.checkpoints.filter(c => c.step <= step);
+        for (const recorded of this.deltas.keys()) {
+            if (recorded > step) {
+                this.deltas.delete(recorded);
+            }
+        }
+        this.lastStep = Math.min(this.lastStep, step);
+    }
+
+    /**
+     * Drop the oldest checkpoints once the next one still covers `limit` steps
+     */
+    trim() {
+        while (this.checkpoints.length > 1 && this.lastStep - this.checkpoints[1].step >= this.limit) {
+            const dropped = this.checkpoints.shift();
+            for (let step = dropped.step; step <= this.checkpoints[0].step; step++) {
+                this.deltas.delete(step);
+            }
+        }
+    }
+
+    /**
+     * Range of steps that can be sought
+     */
+    getRange() {
+        return { first: this.getFirstStep(), last: this.lastStep };
+    }
+
+    /**
+     * Forget all recorded steps
+     */
+    clear() {
+        this.checkpoints = [];
+        this.deltas.clear();
+        this.lastStep = 0;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SimulationHistory = SimulationHistory;
+}
@@ -2,10 +2,16 @@
  * WorkloadGenerator - Generates memory access patterns for simulation
  */
 class WorkloadGenerator {
-    constructor() {
+    /**
+     * @param {SeededRandom} rng - Source of every random choice in the workload
+     */
+    constructor(rng = new SeededRandom()) {
+        this.rng = rng;
         this.processes = [];
-        this.accessQueue = [];
+        this.accessQueue = [];      // Pre-generated upcoming accesses
+        this.lookahead = 64;        // Size of the pre-generated window
         this.intensity = 1.0;  // Workload intensity multiplier
+        this.writeRatio = 0.3;      // Fraction of accesses that are writes (processes may set their own)
     }
 
     /**
@@ -13,6 +19,35 @@ class WorkloadGenerator {
      */
     setProcesses(processes) {
         this.processes = processes;
+
+        // Drop queued accesses of processes that are no longer running
+        this.accessQueue = this.accessQueue.filter(
+            access => processes.includes(access.process)
+        );
+    }
+
+    /**
+     * Set the fraction of accesses that write to the page
+     */
+    setWriteRatio(writeRatio) {
+        this.writeRatio = Math.max(0, Math.min(1, writeRatio));
+    }
+
+    /**
+     * Fraction of a process's accesses that are writes
+     */
+    getWriteRatio(process) {
+        return process.writeRatio !== null ? process.writeRatio : this.writeRatio;
+    }
+
+    /**
+     * Set the lookahead window (number of pre-generated accesses)
+     */
+    setLookahead(lookahead) {
+        this.lookahead = Math.max(0, lookahead);
+        if (this.accessQueue.length > this.lookahead) {
+            this.accessQueue.length = this.lookahead;
+        }
     }
 
     /**
@@ -24,14 +59,14 @@ class WorkloadGenerator {
 
     /**
      * Generate next memory access
-     * Returns { process, page } or null if no processes
+     * Returns { process, page, isWrite } or null if no processes
      */
     generateAccess() {
         if (this.processes.length === 0) return null;
 
         // Select a random process weighted by page count
         const totalPages = this.processes.reduce((sum, p) => sum + p.pageCount, 0);
-        let random = Math.random() * totalPages;
+        let random = this.rng.next() * totalPages;
 
         let selectedProcess = this.processes[0];
         for (const process of this.processes) {
@@ -43,23 +78,83 @@ class WorkloadGenerator {
         }
 
         // Get a page to access based on locality
-        const page = selectedProcess.getRandomPageToAccess();
+        const page = selectedProcess.getRandomPageToAccess(this.rng);
 
         return {
             process: selectedProcess,
-            page: page
+            page: page,
+            isWrite: this.rng.next() < this.getWriteRatio(selectedProcess)
         };
     }
 
+    /**
+     * Fill the lookahead window with upcoming accesses
+     */
+    fillQueue() {
+        while (this.accessQueue.length < this.lookahead) {
+            const access = this.generateAccess();
+            if (!access) break;
+            this.accessQueue.push(access);
+        }
+    }
+
+    /**
+     * Take the next access from the pre-generated stream
+     * Every policy sees the same reference string, so OPT stays a valid bound
+     * @param {Function|null} isReady - (process) => boolean; accesses of processes
+     *   that are not ready (blocked on I/O) stay queued in order
+     * @returns {Object|null} - null if no process is ready
+     */
+    nextAccess(isReady = null) {
+        this.fillQueue();
+
+        let access = null;
+        if (!isReady) {
+            access = this.accessQueue.length > 0
+                ? this.accessQueue.shift()
+                : this.generateAccess();
+        } else if (this.processes.some(isReady)) {
+            let index = this.accessQueue.findIndex(a => isReady(a.process));
+
+            // Every queued access belongs to a blocked process - extend the stream
+            while (index === -1) {
+                const generated = this.generateAccess();
+                this.accessQueue.push(generated);
+                if (isReady(generated.process)) {
+                    index = this.accessQueue.length - 1;
+                }
+            }
+            access = this.accessQueue.splice(index, 1)[0];
+        }
+
+        this.fillQueue();
+        return access;
+    }
+
+    /**
+     * Get upcoming pages in reference order (without consuming them)
+     */
+    peekUpcoming() {
+        this.fillQueue();
+        return this.accessQueue.map(access => access.page);
+    }
+
+    /**
+     * Get number of accesses per simulation step
+     */
+    getBatchSize(count = 1) {
+        return Math.ceil(count * this.intensity);
+    }
+
     /**
      * Generate a batch of accesses for simulation step
      */
     generateBatch(count = 1) {
         const accesses = [];
-        const effectiveCount = Math.ceil(count * this.intensity);
+        const effectiveCount = this.getBatchSize(count);
 
         for (let i = 0; i < effectiveCount; i++) {
-            const access = this.generateAccess();
+            const access = this.nextAccess();
             if (access) {
                 accesses.push(access);
             }
@@ -77,7 +172,8 @@ class WorkloadGenerator {
 
         return {
             process: process,
-            page: process.getRandomPageToAccess()
+            page: process.getRandomPageToAccess(this.rng),
+            isWrite: this.rng.next() < this.getWriteRatio(process)
         };
     }
 
@@ -88,6 +184,39 @@ class WorkloadGenerator {
         return this.generateBatch(burstSize);
     }
 
+    /**
+     * Get settings and the pre-generated accesses as plain data for a snapshot
+     * (the random sequence itself is saved with the engine's rng)
+     */
+    serialize() {
+        return {
+            lookahead: this.lookahead,
+            intensity: this.intensity,
+            writeRatio: this.writeRatio,
+            accessQueue: this.accessQueue.map(access => ({
+                processId: access.process.id,
+                pageId: access.page.id,
+                isWrite: access.isWrite
+            }))
+        };
+    }
+
+    /**
+     * Restore serialize() data; call after setProcesses()
+     * @param {Object} state
+     * @param {Map} pages - pageId -> restored Page
+     */
+    restore(state, pages) {
+        this.lookahead = state.lookahead;
+        this.intensity = state.intensity;
+        this.writeRatio = state.writeRatio;
+        this.accessQueue = state.accessQueue.map(access => ({
+            process: this.processes.find(p => p.id === access.processId),
+            page: pages.get(access.pageId),
+            isWrite: access.isWrite
+        }));
+    }
+
     /**
      * Reset workload generator
      */
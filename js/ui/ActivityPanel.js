@@ -2,6 +2,15 @@
  * ActivityPanel - Real-time display of current memory operations
  * Shows page accesses, swaps, and policy decisions
  */
+
+// NRU victim classes by (reference, modified) bits
+const NRU_VICTIM_CLASSES = [
+    'Class 0 (R=0, M=0): not referenced, clean',
+    'Class 1 (R=0, M=1): not referenced, dirty',
+    'Class 2 (R=1, M=0): referenced, clean',
+    'Class 3 (R=1, M=1): referenced, dirty'
+];
+
 class ActivityPanel {
     constructor(containerId) {
         this.container = document.getElementById(containerId);
@@ -195,17 +204,14 @@ class ActivityPanel {
 
     /**
      * Show policy decision
+     * @param {string} policy - Policy name
+     * @param {Page} victimPage - Page selected for eviction
+     * @param {string} explanation - Why the victim was selected (from the policy registry)
+     * @param {number|null} victimClass - (reference, modified) class for NRU policies
      */
-    showPolicyDecision(policy, victimPage, reason) {
+    showPolicyDecision(policy, victimPage, explanation, victimClass = null) {
         if (!this.elements.policyContent) return;
 
-        let explanation = '';
-        if (policy === 'FIFO') {
-            explanation = 'First-In-First-Out: Oldest page in RAM is selected';
-        } else if (policy === 'LRU') {
-            explanation = 'Least Recently Used: Page unused for longest time is selected';
-        }
-
         this.elements.policyContent.innerHTML = `
             <div class="activity-policy">
                 <div class="policy-header">
@@ -214,6 +220,10 @@ class ActivityPanel {
                 <div class="policy-victim">
                     Selected Page ${victimPage.id} for eviction
                 </div>
+                ${victimClass !== null ? `
+                <div class="policy-class class-${victimClass}">
+                    ${NRU_VICTIM_CLASSES[victimClass]}
+                </div>` : ''}
                 <div class="policy-reason">
                     ${explanation}
                 </div>
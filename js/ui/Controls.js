@@ -28,6 +28,10 @@ class Controls {
                         <span class="btn-icon">▶️</span>
                         <span class="btn-text">Play</span>
                     </button>
+                    <button class="btn btn-secondary" id="btn-step-back" title="Step Back (←)">
+                        <span class="btn-icon">⏮️</span>
+                        <span class="btn-text">Back</span>
+                    </button>
                     <button class="btn btn-secondary" id="btn-step" title="Single Step (→)">
                         <span class="btn-icon">⏭️</span>
                         <span class="btn-text">Step</span>
@@ -39,6 +43,32 @@ class Controls {
                 </div>
             </div>
             
+            <div class="controls-section">
+                <h3 class="section-title">Timeline</h3>
+                <div class="slider-control">
+                    <input type="range" id="timeline-slider" min="0" max="0" step="1" value="0">
+                    <div class="slider-labels">
+                        <span id="timeline-first">0</span>
+                        <span id="timeline-value">Step 0</span>
+                        <span id="timeline-last">0</span>
+                    </div>
+                    <div class="timeline-delta" id="timeline-delta">No steps recorded</div>
+                </div>
+            </div>
+            
+            <div class="controls-section">
+                <h3 class="section-title">Snapshot</h3>
+                <div class="view-controls">
+                    <button class="btn btn-secondary" id="btn-save-snapshot" title="Save the full simulation state to a file">
+                        💾 Save
+                    </button>
+                    <button class="btn btn-secondary" id="btn-load-snapshot" title="Resume a saved simulation">
+                        📂 Load
+                    </button>
+                    <input type="file" id="snapshot-file" accept=".json,application/json" hidden>
+                </div>
+            </div>
+            
             <div class="controls-section">
                 <h3 class="section-title">Simulation Speed</h3>
                 <div class="slider-control">
@@ -63,6 +93,53 @@ class Controls {
                 </div>
             </div>
             
+            <div class="controls-section">
+                <h3 class="section-title">Swap Disk</h3>
+                <div class="config-item">
+                    <label for="disk-scheduler-select" title="Order in which the disk head serves queued swap requests">Disk scheduler</label>
+                    <select id="disk-scheduler-select">
+                        <option value="FCFS" selected>FCFS</option>
+                        <option value="SSTF">SSTF (shortest seek)</option>
+                        <option value="SCAN">SCAN (elevator)</option>
+                        <option value="CLOOK">C-LOOK</option>
+                    </select>
+                </div>
+            </div>
+            
+            <div class="controls-section">
+                <h3 class="section-title">Thrashing Control</h3>
+                <div class="config-item">
+                    <label for="thrashing-rule-select">Detection rule</label>
+                    <select id="thrashing-rule-select">
+                        <option value="ioRate" selected>Swap ops per window</option>
+                        <option value="faultRatio">Fault ratio</option>
+                        <option value="workingSet">Working sets &gt; frames</option>
+                    </select>
+                </div>
+                <div class="slider-control">
+                    <label for="pff-lower-slider">Lower threshold</label>
+                    <input type="range" id="pff-lower-slider" min="0" max="50" step="1" value="5">
+                    <div class="slider-labels">
+                        <span>0%</span>
+                        <span id="pff-lower-value">5%</span>
+                        <span>50%</span>
+                    </div>
+                </div>
+                <div class="slider-control">
+                    <label for="pff-upper-slider">Upper threshold</label>
+                    <input type="range" id="pff-upper-slider" min="5" max="100" step="1" value="30">
+                    <div class="slider-labels">
+                        <span>5%</span>
+                        <span id="pff-upper-value">30%</span>
+                        <span>100%</span>
+                    </div>
+                </div>
+                <label class="toggle-control" title="Suspend the lowest-priority process while thrashing">
+                    <input type="checkbox" id="load-control-toggle">
+                    <span>Load control (suspend processes)</span>
+                </label>
+            </div>
+            
             <div class="controls-section">
                 <h3 class="section-title">Configuration</h3>
                 <div class="config-grid">
@@ -74,13 +151,48 @@ class Controls {
                         <label for="config-swap">Swap Blocks</label>
                         <input type="number" id="config-swap" value="64" min="16" max="256" step="16">
                     </div>
+                    <div class="config-item">
+                        <label for="config-allocation">Allocation</label>
+                        <select id="config-allocation">
+                            <option value="equal" selected>Equal</option>
+                            <option value="proportional">Proportional</option>
+                            <option value="priority">Priority</option>
+                            <option value="pff">PFF (dynamic)</option>
+                        </select>
+                    </div>
+                    <div class="config-item">
+                        <label for="config-scope">Replacement</label>
+                        <select id="config-scope">
+                            <option value="global" selected>Global</option>
+                            <option value="local">Local</option>
+                        </select>
+                    </div>
+                    <div class="config-item">
+                        <label for="config-disk-service" title="Logical ms an average swap transfer blocks the faulting process (0 = no CPU model)">Disk Service (ms)</label>
+                        <input type="number" id="config-disk-service" value="0" min="0" max="5000" step="100">
+                    </div>
+                    <div class="config-item">
+                        <label for="config-seed" title="Same seed and configuration replay the same run (empty = pick one)">Seed</label>
+                        <input type="number" id="config-seed" min="0" step="1" placeholder="random">
+                    </div>
                     <div class="config-item">
                         <label for="config-policy">Policy</label>
                         <select id="config-policy">
-                            <option value="LRU" selected>LRU</option>
-                            <option value="FIFO">FIFO</option>
+                            ${this.renderPolicyOptions('LRU')}
                         </select>
                     </div>
+                    <div class="config-item">
+                        <label for="config-decay" title="LFU / MFU: steps between halving the access counters (0 = never)">Counter Decay (steps)</label>
+                        <input type="number" id="config-decay" value="20" min="0" max="200" step="5">
+                    </div>
+                    <div class="config-item">
+                        <label for="config-aging-tick" title="Aging: steps between shifting the reference bits into the counters">Aging Tick (steps)</label>
+                        <input type="number" id="config-aging-tick" value="1" min="1" max="50" step="1">
+                    </div>
+                    <div class="config-item">
+                        <label for="config-ws-window" title="Working-set window tau for WS, WSClock and the working-set thrashing rule">Working-Set Window (steps)</label>
+                        <input type="number" id="config-ws-window" value="10" min="1" max="100" step="1">
+                    </div>
                 </div>
                 <button class="btn btn-primary full-width" id="btn-apply-config">
                     Apply Configuration
@@ -107,14 +219,37 @@ class Controls {
         this.elements = {
             playBtn: document.getElementById('btn-play'),
             stepBtn: document.getElementById('btn-step'),
+            stepBackBtn: document.getElementById('btn-step-back'),
             resetBtn: document.getElementById('btn-reset'),
+            timelineSlider: document.getElementById('timeline-slider'),
+            timelineFirst: document.getElementById('timeline-first'),
+            timelineValue: document.getElementById('timeline-value'),
+            timelineLast: document.getElementById('timeline-last'),
+            timelineDelta: document.getElementById('timeline-delta'),
+            saveSnapshotBtn: document.getElementById('btn-save-snapshot'),
+            loadSnapshotBtn: document.getElementById('btn-load-snapshot'),
+            snapshotFile: document.getElementById('snapshot-file'),
             speedSlider: document.getElementById('speed-slider'),
             speedValue: document.getElementById('speed-value'),
             intensitySlider: document.getElementById('intensity-slider'),
             intensityValue: document.getElementById('intensity-value'),
+            pffLowerSlider: document.getElementById('pff-lower-slider'),
+            pffLowerValue: document.getElementById('pff-lower-value'),
+            pffUpperSlider: document.getElementById('pff-upper-slider'),
+            pffUpperValue: document.getElementById('pff-upper-value'),
+            loadControlToggle: document.getElementById('load-control-toggle'),
+            thrashingRuleSelect: document.getElementById('thrashing-rule-select'),
+            diskSchedulerSelect: document.getElementById('disk-scheduler-select'),
             ramInput: document.getElementById('config-ram'),
             swapInput: document.getElementById('config-swap'),
             policySelect: document.getElementById('config-policy'),
+            decayInput: document.getElementById('config-decay'),
+            agingTickInput: document.getElementById('config-aging-tick'),
+            workingSetWindowInput: document.getElementById('config-ws-window'),
+            allocationSelect: document.getElementById('config-allocation'),
+            scopeSelect: document.getElementById('config-scope'),
+            diskServiceInput: document.getElementById('config-disk-service'),
+            seedInput: document.getElementById('config-seed'),
             applyConfigBtn: document.getElementById('btn-apply-config'),
             resetCameraBtn: document.getElementById('btn-reset-camera'),
             toggleLabelsBtn: document.getElementById('btn-toggle-labels'),
@@ -122,6 +257,24 @@ class Controls {
         };
     }
 
+    /**
+     * Build policy <option> elements from the policy registry
+     */
+    renderPolicyOptions(selected) {
+        return getRegisteredPolicies().map(policy => `
+            <option value="${policy.key}"${policy.key === selected ? ' selected' : ''}>${policy.label}</option>
+        `).join('');
+    }
+
+    /**
+     * Rebuild the policy dropdown (after a policy was registered)
+     */
+    refreshPolicyOptions() {
+        if (!this.elements.policySelect) return;
+        const selected = this.elements.policySelect.value;
+        this.elements.policySelect.innerHTML = this.renderPolicyOptions(selected);
+    }
+
     /**
      * Attach event listeners
      */
@@ -136,6 +289,16 @@ class Controls {
             if (this.callbacks.onStep) this.callbacks.onStep();
         });
 
+        // Step back
+        this.elements.stepBackBtn.addEventListener('click', () => {
+            if (this.callbacks.onStepBack) this.callbacks.onStepBack();
+        });
+
+        // Timeline scrubber
+        this.elements.timelineSlider.addEventListener('input', (e) => {
+            if (this.callbacks.onSeek) this.callbacks.onSeek(parseInt(e.target.value));
+        });
+
         // Reset
         this.elements.resetBtn.addEventListener('click', () => {
             if (this.callbacks.onReset) this.callbacks.onReset();
@@ -156,14 +319,70 @@ class Controls {
             if (this.callbacks.onIntensityChange) this.callbacks.onIntensityChange(this.intensity);
         });
 
+        // PFF needs local replacement
+        this.elements.allocationSelect.addEventListener('change', () => this.updateScopeOptions());
+
+        // PFF thresholds - the lower one can never pass the upper one
+        this.elements.pffLowerSlider.addEventListener('input', () => {
+            const upper = parseInt(this.elements.pffUpperSlider.value);
+            if (parseInt(this.elements.pffLowerSlider.value) >= upper) {
+                this.elements.pffLowerSlider.value = upper - 1;
+            }
+            this.updatePFFThresholds();
+        });
+
+        this.elements.pffUpperSlider.addEventListener('input', () => {
+            const lower = parseInt(this.elements.pffLowerSlider.value);
+            if (parseInt(this.elements.pffUpperSlider.value) <= lower) {
+                this.elements.pffUpperSlider.value = lower + 1;
+            }
+            this.updatePFFThresholds();
+        });
+
+        // Thrashing detection rule
+        this.elements.thrashingRuleSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onThrashingRuleChange) this.callbacks.onThrashingRuleChange(e.target.value);
+        });
+
+        // Disk scheduling algorithm
+        this.elements.diskSchedulerSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onDiskSchedulerChange) this.callbacks.onDiskSchedulerChange(e.target.value);
+        });
+
+        // Load control
+        this.elements.loadControlToggle.addEventListener('change', (e) => {
+            if (this.callbacks.onLoadControlChange) this.callbacks.onLoadControlChange(e.target.checked);
+        });
+
+        // Snapshots
+        this.elements.saveSnapshotBtn.addEventListener('click', () => {
+            if (this.callbacks.onSaveSnapshot) this.callbacks.onSaveSnapshot();
+        });
+
+        this.elements.loadSnapshotBtn.addEventListener('click', () => {
+            this.elements.snapshotFile.click();
+        });
+
+        this.elements.snapshotFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            file.text()
+                .then(text => JSON.parse(text))
+                .then(snapshot => {
+                    if (this.callbacks.onLoadSnapshot) this.callbacks.onLoadSnapshot(snapshot);
+                })
+                .catch(error => {
+                    if (this.callbacks.onSnapshotError) this.callbacks.onSnapshotError(file.name, error);
+                });
+
+            // Allow loading the same file again
+            e.target.value = '';
+        });
+
         // Apply config
         this.elements.applyConfigBtn.addEventListener('click', () => {
-            const config = {
-                ramFrames: parseInt(this.elements.ramInput.value),
-                swapBlocks: parseInt(this.elements.swapInput.value),
-                policy: this.elements.policySelect.value
-            };
-            if (this.callbacks.onConfigChange) this.callbacks.onConfigChange(config);
+            if (this.callbacks.onConfigChange) this.callbacks.onConfigChange(this.getConfig());
         });
 
         // View controls
@@ -183,6 +402,17 @@ class Controls {
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
     }
 
+    /**
+     * Show the PFF thresholds and pass them on
+     */
+    updatePFFThresholds() {
+        const lower = parseInt(this.elements.pffLowerSlider.value);
+        const upper = parseInt(this.elements.pffUpperSlider.value);
+        this.elements.pffLowerValue.textContent = `${lower}%`;
+        this.elements.pffUpperValue.textContent = `${upper}%`;
+        if (this.callbacks.onPFFThresholdsChange) this.callbacks.onPFFThresholdsChange(lower, upper);
+    }
+
     /**
      * Handle keyboard shortcuts
      */
@@ -199,6 +429,10 @@ class Controls {
                 e.preventDefault();
                 if (this.callbacks.onStep) this.callbacks.onStep();
                 break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                if (this.callbacks.onStepBack) this.callbacks.onStepBack();
+                break;
             case 'KeyR':
                 e.preventDefault();
                 if (this.callbacks.onReset) this.callbacks.onReset();
@@ -256,6 +490,48 @@ class Controls {
         }
     }
 
+    /**
+     * Show the recorded steps and what the current one did
+     * @param {Object} history - SimulationEngine.getHistory()
+     */
+    setTimeline(history) {
+        if (!this.elements.timelineSlider) return;
+
+        const slider = this.elements.timelineSlider;
+        slider.min = history.first;
+        slider.max = history.last;
+        slider.value = history.current;
+        this.elements.timelineFirst.textContent = history.first;
+        this.elements.timelineLast.textContent = history.last;
+        this.elements.timelineValue.textContent = `Step ${history.current}`;
+        this.elements.stepBackBtn.disabled = history.current <= history.first;
+
+        const delta = history.delta;
+        if (!delta) {
+            this.elements.timelineDelta.textContent = 'No steps recorded';
+            return;
+        }
+
+        const pages = (ids) => ids.map(id => `P${id}`).join(', ');
+        const parts = [`${delta.refs.length} refs`];
+        if (delta.faults.length > 0) parts.push(`fault ${pages(delta.faults)}`);
+        if (delta.swappedOut.length > 0) parts.push(`out ${pages(delta.swappedOut)}`);
+        if (delta.thrashing) parts.push('thrashing');
+        this.elements.timelineDelta.textContent = parts.join(' · ');
+    }
+
+    /**
+     * PFF moves frames by changing quotas, which only local replacement
+     * enforces: with PFF selected, the scope is locked to local
+     */
+    updateScopeOptions() {
+        const isPFF = this.elements.allocationSelect.value === 'pff';
+        this.elements.scopeSelect.querySelector('option[value="global"]').disabled = isPFF;
+        if (isPFF) {
+            this.elements.scopeSelect.value = 'local';
+        }
+    }
+
     /**
      * Set configuration values
      */
@@ -263,6 +539,25 @@ class Controls {
         if (config.ramFrames) this.elements.ramInput.value = config.ramFrames;
         if (config.swapBlocks) this.elements.swapInput.value = config.swapBlocks;
         if (config.policy) this.elements.policySelect.value = config.policy;
+        if (config.counterDecayInterval !== undefined) this.elements.decayInput.value = config.counterDecayInterval;
+        if (config.agingTickInterval !== undefined) this.elements.agingTickInput.value = config.agingTickInterval;
+        if (config.workingSetWindow !== undefined) this.elements.workingSetWindowInput.value = config.workingSetWindow;
+        if (config.allocationStrategy) this.elements.allocationSelect.value = config.allocationStrategy;
+        if (config.replacementScope) this.elements.scopeSelect.value = config.replacementScope;
+        this.updateScopeOptions();
+        if (config.diskServiceTime !== undefined) this.elements.diskServiceInput.value = config.diskServiceTime;
+        if (config.seed !== undefined) this.elements.seedInput.value = config.seed !== null ? config.seed : '';
+        if (config.loadControl !== undefined) this.elements.loadControlToggle.checked = config.loadControl;
+        if (config.thrashingRule) this.elements.thrashingRuleSelect.value = config.thrashingRule;
+        if (config.diskScheduler) this.elements.diskSchedulerSelect.value = config.diskScheduler;
+        if (config.pffLowerThreshold !== undefined) {
+            this.elements.pffLowerSlider.value = config.pffLowerThreshold;
+            this.elements.pffLowerValue.textContent = `${config.pffLowerThreshold}%`;
+        }
+        if (config.pffUpperThreshold !== undefined) {
+            this.elements.pffUpperSlider.value = config.pffUpperThreshold;
+            this.elements.pffUpperValue.textContent = `${config.pffUpperThreshold}%`;
+        }
     }
 
     /**
@@ -272,7 +567,14 @@ class Controls {
         return {
             ramFrames: parseInt(this.elements.ramInput.value),
             swapBlocks: parseInt(this.elements.swapInput.value),
-            policy: this.elements.policySelect.value
+            policy: this.elements.policySelect.value,
+            counterDecayInterval: Math.max(0, parseInt(this.elements.decayInput.value) || 0),
+            agingTickInterval: Math.max(1, parseInt(this.elements.agingTickInput.value) || 1),
+            workingSetWindow: Math.max(1, parseInt(this.elements.workingSetWindowInput.value) || 1),
+            allocationStrategy: this.elements.allocationSelect.value,
+            replacementScope: this.elements.scopeSelect.value,
+            diskServiceTime: parseInt(this.elements.diskServiceInput.value) || 0,
+            seed: this.elements.seedInput.value !== '' ? parseInt(this.elements.seedInput.value) : null
         };
     }
 }
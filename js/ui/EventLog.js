@@ -91,12 +91,13 @@ class EventLog {
 
     /**
      * Log swap out
+     * @param {boolean} written - false if a clean page was dropped onto its swap copy
      */
-    logSwapOut(page, policy) {
+    logSwapOut(page, policy, written = true) {
         this.log(
             `📤 Swap Out: P${page.id}`,
             'info',
-            `Policy: ${policy}, → Disk`
+            `Policy: ${policy}, → Disk` + (written ? ' (written back)' : ' (clean, no write)')
         );
     }
 
@@ -129,6 +130,85 @@ class EventLog {
         }
     }
 
+    /**
+     * Log a saved or restored snapshot
+     */
+    logSnapshot(action, snapshot) {
+        this.log(
+            `${action === 'saved' ? '💾' : '📂'} Snapshot ${action} at t=${snapshot.simulationTime}ms`,
+            'success',
+            `${snapshot.processes.length} processes, ${snapshot.pages.length} pages, ${snapshot.config.policy}`
+        );
+    }
+
+    /**
+     * Log the workload seed of the run
+     */
+    logRunSeed(seed) {
+        this.log(
+            `🎲 Run seed: ${seed}`,
+            'info',
+            'Enter this seed under Configuration to replay the run'
+        );
+    }
+
+    /**
+     * Log the seed of a seeded policy
+     */
+    logPolicySeed(policy, seed) {
+        this.log(
+            `🎲 ${policy} seed: ${seed}`,
+            'info',
+            'Set policySeed to this value to reproduce the run'
+        );
+    }
+
+    /**
+     * Log a change of a process's frame quota
+     */
+    logQuotaChange(change) {
+        const from = change.oldQuota === null ? '–' : change.oldQuota;
+        const grew = change.oldQuota !== null && change.newQuota > change.oldQuota;
+        this.log(
+            `📐 Quota: ${change.process.name} ${from} → ${change.newQuota} frames`,
+            grew ? 'warning' : 'info',
+            change.reason
+        );
+    }
+
+    /**
+     * Log a process suspended by load control
+     */
+    logProcessSuspended(process, reason) {
+        this.log(
+            `⏸️ Process Suspended: ${process.name}`,
+            'danger',
+            reason
+        );
+    }
+
+    /**
+     * Log a process resumed by load control
+     */
+    logProcessResumed(process, reason) {
+        this.log(
+            `▶️ Process Resumed: ${process.name}`,
+            'success',
+            reason
+        );
+    }
+
+    /**
+     * Log a process killed by the OOM killer
+     */
+    logProcessKilled(process, reason, frames, blocks) {
+        this.log(
+            `💀 OOM Kill: ${process.name}`,
+            'danger',
+            `${reason} - freed ${frames.length} frames, ${blocks.length} swap blocks`
+        );
+    }
+
     /**
      * Log process added
      */
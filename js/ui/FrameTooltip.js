@@ -0,0 +1,81 @@
+/**
+ * FrameTooltip - Hover tooltip with page details for RAM frames and disk blocks
+ */
+class FrameTooltip {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.element = null;
+
+        this.createTooltip();
+    }
+
+    /**
+     * Create the tooltip element
+     */
+    createTooltip() {
+        if (!this.container) return;
+
+        this.element = document.createElement('div');
+        this.element.className = 'frame-tooltip hidden';
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * Show page details at a position inside the container
+     * @param {Page} page - Page under the pointer
+     * @param {Object} details - Extra rows: { agingCounter, agingRank, lruRank, residentCount }
+     * @param {number} x - Offset from the container's left edge
+     * @param {number} y - Offset from the container's top edge
+     */
+    showPage(page, details, x, y) {
+        if (!this.element) return;
+
+        const info = page.getInfo();
+        const location = info.location === 'ram'
+            ? `RAM Frame ${info.frame}` + (info.swapCopy !== null ? ` (copy in block ${info.swapCopy})` : '')
+            : info.location === 'disk' ? `Disk Block ${info.diskBlock}` : 'Not loaded';
+
+        let agingRows = '';
+        if (details.agingCounter !== undefined) {
+            agingRows = `
+                <div class="tooltip-row">
+                    <span>Aging counter</span>
+                    <span class="tooltip-mono">${details.agingCounter.toString(2).padStart(8, '0')}</span>
+                </div>
+                <div class="tooltip-row">
+                    <span>Eviction rank (Aging / true LRU)</span>
+                    <span>${details.agingRank} / ${details.lruRank} of ${details.residentCount}</span>
+                </div>
+            `;
+        }
+
+        this.element.innerHTML = `
+            <div class="tooltip-title">Page ${info.id} <span class="tooltip-process">${info.process}</span></div>
+            <div class="tooltip-row"><span>Location</span><span>${location}</span></div>
+            <div class="tooltip-row"><span>Accesses</span><span>${info.accesses}</span></div>
+            <div class="tooltip-row">
+                <span>R / M bits</span>
+                <span class="tooltip-mono">${info.referenced} / ${info.dirty ? 1 : 0}</span>
+            </div>
+            ${agingRows}
+        `;
+
+        this.element.style.left = `${x + 12}px`;
+        this.element.style.top = `${y + 12}px`;
+        this.element.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the tooltip
+     */
+    hide() {
+        if (this.element) {
+            this.element.classList.add('hidden');
+        }
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.FrameTooltip = FrameTooltip;
+}
@@ -1,3 +1,14 @@
+/**
+ * Parts of the Effective Access Time breakdown: [key in stats.accessTimeBreakdown, label]
+ */
+const EAT_PARTS = [
+    ['memory', 'RAM access'],
+    ['faultService', 'Fault handling'],
+    ['swapRead', 'Swap read'],
+    ['swapWrite', 'Swap write'],
+    ['diskQueue', 'Disk queue']
+];
+
 /**
  * KPIDashboard - Real-time metrics display
  */
@@ -39,6 +50,7 @@ class KPIDashboard {
                     <div class="kpi-icon">📤</div>
                     <div class="kpi-value" id="kpi-swapout-value">0</div>
                     <div class="kpi-label">Swap-Out Count</div>
+                    <div class="kpi-detail" id="kpi-swapout-split" title="Dirty pages written back / clean pages dropped onto their swap copy">0 written · 0 clean</div>
                 </div>
                 
                 <div class="kpi-card" id="kpi-io-rate">
@@ -76,6 +88,20 @@ class KPIDashboard {
                 </div>
             </div>
             
+            <div class="eat-section">
+                <div class="utilization-header">
+                    <span class="utilization-label" title="Mean time per memory access, faults included">Effective Access Time</span>
+                    <span class="utilization-value" id="eat-value">0 ns</span>
+                </div>
+                <div class="eat-bar" id="eat-bar">
+                    ${EAT_PARTS.map(([key]) => `<div class="eat-segment eat-${key}" style="width: 0%"></div>`).join('')}
+                </div>
+                <div class="eat-legend" id="eat-legend"></div>
+                <div class="eat-summary" id="eat-summary">No accesses yet</div>
+                <div class="eat-summary" id="eat-disk" title="Mean time per swap request on the disk"></div>
+                <div class="eat-stalls" id="eat-stalls"></div>
+            </div>
+
             <div class="thrashing-section" id="thrashing-section">
                 <div class="thrashing-meter">
                     <div class="thrashing-header">
@@ -99,12 +125,19 @@ class KPIDashboard {
             rateValue: document.getElementById('kpi-rate-value'),
             swapInValue: document.getElementById('kpi-swapin-value'),
             swapOutValue: document.getElementById('kpi-swapout-value'),
+            swapOutSplit: document.getElementById('kpi-swapout-split'),
             ioValue: document.getElementById('kpi-io-value'),
             hitValue: document.getElementById('kpi-hit-value'),
             ramUtilText: document.getElementById('ram-util-text'),
             ramUtilBar: document.getElementById('ram-util-bar'),
             swapUtilText: document.getElementById('swap-util-text'),
             swapUtilBar: document.getElementById('swap-util-bar'),
+            eatValue: document.getElementById('eat-value'),
+            eatBar: document.getElementById('eat-bar'),
+            eatLegend: document.getElementById('eat-legend'),
+            eatSummary: document.getElementById('eat-summary'),
+            eatDisk: document.getElementById('eat-disk'),
+            eatStalls: document.getElementById('eat-stalls'),
             thrashingPercent: document.getElementById('thrashing-percent'),
             thrashingFill: document.getElementById('thrashing-fill'),
             thrashingAlert: document.getElementById('thrashing-alert')
@@ -124,6 +157,7 @@ class KPIDashboard {
         // Swap operations
         this.elements.swapInValue.textContent = stats.swapInCount;
         this.elements.swapOutValue.textContent = stats.swapOutCount;
+        this.elements.swapOutSplit.textContent = `${stats.writeBacks} written · ${stats.cleanDiscards} clean`;
 
         // I/O rate
         this.elements.ioValue.textContent = stats.diskIORate.toFixed(1);
@@ -139,6 +173,9 @@ class KPIDashboard {
         this.elements.swapUtilText.textContent = `${stats.swapUsed}/${stats.swapTotal} blocks`;
         this.elements.swapUtilBar.style.width = `${stats.swapUtilization}%`;
 
+        // Effective Access Time
+        this.updateAccessTime(stats);
+
         // Thrashing level
         const thrashingLevel = Math.min(100, stats.thrashingLevel || 0);
         this.elements.thrashingPercent.textContent = `${thrashingLevel.toFixed(0)}%`;
@@ -161,6 +198,62 @@ class KPIDashboard {
         }
     }
 
+    /**
+     * Show EAT, the share of time in each part and the slowdown against RAM
+     */
+    updateAccessTime(stats) {
+        const breakdown = stats.accessTimeBreakdown || {};
+        const total = EAT_PARTS.reduce((sum, [key]) => sum + (breakdown[key] || 0), 0);
+        const eat = stats.effectiveAccessTime || 0;
+
+        this.elements.eatValue.textContent = this.formatTime(eat);
+
+        const segments = this.elements.eatBar.children;
+        EAT_PARTS.forEach(([key], i) => {
+            segments[i].style.width = `${total > 0 ? breakdown[key] / total * 100 : 0}%`;
+        });
+
+        this.elements.eatLegend.innerHTML = EAT_PARTS.map(([key, label]) => `
+            <div class="eat-legend-row">
+                <span class="eat-dot eat-${key}"></span>
+                <span class="eat-legend-label">${label}</span>
+                <span class="eat-legend-value">${total > 0 ? (breakdown[key] / total * 100).toFixed(1) : '0.0'}%</span>
+                <span class="eat-legend-value">${this.formatTime(breakdown[key] || 0)}</span>
+            </div>
+        `).join('');
+
+        const slowdown = eat / stats.memoryAccessTime;
+        this.elements.eatSummary.textContent = eat > 0
+            ? `${slowdown < 10 ? slowdown.toFixed(1) : Math.round(slowdown)}× a RAM access · last 20 steps ${this.formatTime(stats.recentAccessTime)}`
+            : 'No accesses yet';
+
+        // Where a swap request's time goes on the disk
+        const disk = stats.disk;
+        this.elements.eatDisk.textContent = stats.swapDevice === 'disk' && disk && disk.served > 0
+            ? `💽 ${disk.scheduler} · seek ${this.formatTime(disk.avgSeek)} · rotation ${this.formatTime(disk.avgRotation)} · transfer ${this.formatTime(disk.avgTransfer)} · queued ${this.formatTime(disk.avgWait)}`
+            : '';
+
+        // Time each process spent waiting on its faults
+        this.elements.eatStalls.innerHTML = (stats.processQuotas || []).map(entry => `
+            <div class="eat-legend-row">
+                <span class="eat-dot" style="background: ${entry.color}"></span>
+                <span class="eat-legend-label">${entry.icon} ${entry.name} stalled</span>
+                <span></span>
+                <span class="eat-legend-value">${this.formatTime(entry.stallTime)}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Format a duration in ns with a readable unit
+     */
+    formatTime(ns) {
+        if (ns < 1e3) return `${ns.toFixed(0)} ns`;
+        if (ns < 1e6) return `${(ns / 1e3).toFixed(1)} µs`;
+        if (ns < 1e9) return `${(ns / 1e6).toFixed(1)} ms`;
+        return `${(ns / 1e9).toFixed(2)} s`;
+    }
+
     /**
      * Reset dashboard
      */
@@ -170,6 +263,8 @@ class KPIDashboard {
             pageFaultsPerSecond: 0,
             swapInCount: 0,
             swapOutCount: 0,
+            writeBacks: 0,
+            cleanDiscards: 0,
             diskIORate: 0,
             hitRatio: 0,
             ramUsed: 0,
@@ -178,6 +273,9 @@ class KPIDashboard {
             swapUsed: 0,
             swapTotal: 0,
             swapUtilization: 0,
+            effectiveAccessTime: 0,
+            recentAccessTime: 0,
+            accessTimeBreakdown: {},
             thrashingLevel: 0,
             isThrashing: false
         });
@@ -0,0 +1,87 @@
+/**
+ * QuotaPanel - Per-process frame quotas vs frames actually held
+ * Quotas are only enforced with local replacement; under global scope they
+ * are drawn dimmed, for comparison
+ */
+class QuotaPanel {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the panel structure
+     */
+    createPanel() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="quota-panel">
+                <h3 class="section-title">🧮 Frame Allocation</h3>
+                <div class="quota-mode" id="quota-mode">equal · global</div>
+                <div class="quota-list" id="quota-list">
+                    <div class="quota-empty">No processes</div>
+                </div>
+            </div>
+        `;
+
+        // Cache DOM references
+        this.elements = {
+            mode: document.getElementById('quota-mode'),
+            list: document.getElementById('quota-list')
+        };
+    }
+
+    /**
+     * Update quotas from simulation stats
+     */
+    update(stats) {
+        if (!this.elements.list || !stats.processQuotas) return;
+
+        const enforced = stats.replacementScope === 'local';
+        this.elements.mode.textContent = `${stats.allocationStrategy} · ${stats.replacementScope}` +
+            (enforced ? '' : ' · quotas not enforced');
+        this.elements.list.classList.toggle('inactive', !enforced);
+
+        if (stats.processQuotas.length === 0) {
+            this.elements.list.innerHTML = '<div class="quota-empty">No processes</div>';
+            return;
+        }
+
+        const total = stats.ramTotal || 1;
+        this.elements.list.innerHTML = stats.processQuotas.map(entry => {
+            const over = enforced && entry.quota !== null && entry.resident > entry.quota;
+            const suspended = entry.state === 'suspended';
+            const killed = entry.state === 'killed';
+            return `
+                <div class="quota-row ${suspended || killed ? 'suspended' : ''}">
+                    <div class="utilization-header">
+                        <span class="utilization-label">${entry.icon} ${entry.name}${suspended ? ' ⏸️ suspended' : ''}${killed ? ' 💀 killed' : ''}</span>
+                        <span class="utilization-value ${over ? 'quota-over' : ''}">${entry.resident}/${entry.quota}</span>
+                    </div>
+                    <div class="progress-bar quota-bar">
+                        <div class="progress-fill" style="width: ${entry.resident / total * 100}%; background: ${entry.color}"></div>
+                        <div class="quota-marker" style="left: ${entry.quota / total * 100}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Reset panel
+     */
+    reset() {
+        this.update({
+            allocationStrategy: 'equal',
+            replacementScope: 'global',
+            processQuotas: []
+        });
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.QuotaPanel = QuotaPanel;
+}
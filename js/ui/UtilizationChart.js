@@ -0,0 +1,139 @@
+/**
+ * UtilizationChart - CPU utilization vs degree of multiprogramming
+ * Plots the mean utilization measured at each number of active processes,
+ * which traces the classic thrashing curve as processes are added
+ */
+class UtilizationChart {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+
+        this.createChart();
+    }
+
+    /**
+     * Create the chart structure
+     */
+    createChart() {
+        if (!this.container) return;
+
+        this.container.innerHTML = `
+            <div class="utilization-chart">
+                <h3 class="section-title">📈 CPU vs Multiprogramming</h3>
+                <div class="utilization-chart-summary" id="cpu-summary">CPU model off</div>
+                <canvas id="cpu-chart" width="320" height="160"></canvas>
+            </div>
+        `;
+
+        // Cache DOM references
+        this.elements = {
+            summary: document.getElementById('cpu-summary'),
+            canvas: document.getElementById('cpu-chart')
+        };
+        this.ctx = this.elements.canvas.getContext('2d');
+
+        this.draw([], null);
+    }
+
+    /**
+     * Update from simulation stats
+     * @param {Object} stats - SimulationEngine.getStats()
+     * @param {boolean} enabled - Whether the CPU model is on
+     */
+    update(stats, enabled) {
+        if (!this.ctx) return;
+
+        if (!enabled) {
+            this.elements.summary.textContent = 'CPU model off - set a disk service time';
+            this.draw([], null);
+            return;
+        }
+
+        this.elements.summary.textContent =
+            `CPU ${stats.cpuUtilization.toFixed(0)}% · ` +
+            `${stats.activeProcesses} active · ${stats.blockedProcesses} blocked on I/O`;
+        this.draw(stats.utilizationByDegree, {
+            degree: stats.activeProcesses,
+            utilization: stats.cpuUtilization
+        });
+    }
+
+    /**
+     * Draw axes, the per-degree curve and the current operating point
+     */
+    draw(points, current) {
+        const { width, height } = this.elements.canvas;
+        const ctx = this.ctx;
+        const pad = { left: 32, right: 10, top: 10, bottom: 24 };
+        const plotW = width - pad.left - pad.right;
+        const plotH = height - pad.top - pad.bottom;
+
+        const maxDegree = Math.max(4, ...points.map(p => p.degree), current ? current.degree : 0);
+        const x = (degree) => pad.left + (degree - 1) / Math.max(1, maxDegree - 1) * plotW;
+        const y = (utilization) => pad.top + (1 - utilization / 100) * plotH;
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Grid and labels
+        ctx.font = '10px JetBrains Mono, monospace';
+        ctx.fillStyle = 'hsl(0, 0%, 50%)';
+        ctx.strokeStyle = 'hsla(250, 50%, 50%, 0.2)';
+        ctx.lineWidth = 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [0, 25, 50, 75, 100].forEach(u => {
+            ctx.beginPath();
+            ctx.moveTo(pad.left, y(u));
+            ctx.lineTo(width - pad.right, y(u));
+            ctx.stroke();
+            ctx.fillText(`${u}%`, pad.left - 4, y(u));
+        });
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let d = 1; d <= maxDegree; d++) {
+            ctx.fillText(String(d), x(d), height - pad.bottom + 6);
+        }
+
+        if (points.length === 0) return;
+
+        // Utilization curve
+        ctx.strokeStyle = 'hsl(250, 90%, 60%)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(x(p.degree), y(p.utilization));
+            else ctx.lineTo(x(p.degree), y(p.utilization));
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = 'hsl(250, 90%, 60%)';
+        points.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(x(p.degree), y(p.utilization), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Current operating point
+        if (current && current.degree > 0) {
+            ctx.strokeStyle = 'hsl(40, 95%, 55%)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x(current.degree), y(current.utilization), 5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * Reset chart
+     */
+    reset() {
+        if (!this.ctx) return;
+        this.elements.summary.textContent = 'CPU model off';
+        this.draw([], null);
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.UtilizationChart = UtilizationChart;
+}
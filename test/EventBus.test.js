@@ -0,0 +1,37 @@
+/**
+ * EventBus subscriptions
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../js/headless');
+
+test('once() listener fires once and leaves an on() registration of the same function', () => {
+    const { EventBus } = loadSimulation();
+    const bus = new EventBus();
+    const calls = [];
+    const listener = payload => calls.push(payload);
+
+    bus.on('tick', listener);
+    bus.once('tick', listener);
+    bus.emit('tick', 1);
+    bus.emit('tick', 2);
+    bus.emit('tick', 3);
+
+    assert.deepStrictEqual(calls, [1, 1, 2, 3]);
+});
+
+test('unsubscribe handle removes only its own registration', () => {
+    const { EventBus } = loadSimulation();
+    const bus = new EventBus();
+    const calls = [];
+    const listener = payload => calls.push(payload);
+
+    bus.on('tick', listener);
+    const cancelOnce = bus.once('tick', listener);
+    cancelOnce();
+    bus.emit('tick', 1);
+    bus.emit('tick', 2);
+
+    assert.deepStrictEqual(calls, [1, 2]);
+});
@@ -0,0 +1,106 @@
+/**
+ * SimulationEngine run setup
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../js/headless');
+
+test('reset keeps a configured seed and picks a new one when none is set', () => {
+    const { SimulationEngine } = loadSimulation();
+    const engine = new SimulationEngine();
+
+    engine.updateConfig({ seed: 42 });
+    engine.reset();
+    assert.strictEqual(engine.seed, 42);
+
+    engine.updateConfig({ seed: null });
+    const first = engine.seed;
+    engine.reset();
+    assert.notStrictEqual(engine.seed, first);
+    assert.strictEqual(engine.config.seed, null);
+
+    const second = engine.seed;
+    engine.updateConfig({ seed: null });
+    assert.notStrictEqual(engine.seed, second);
+});
+
+test('PFF runs with local replacement and keeps its quotas through config changes', () => {
+    const { SimulationEngine, getScenario } = loadSimulation();
+    const engine = new SimulationEngine();
+    engine.loadScenario(getScenario('heavy'));
+    engine.updateConfig({ allocationStrategy: 'pff', replacementScope: 'global', pffInterval: 5 });
+    assert.strictEqual(engine.config.replacementScope, 'local');
+
+    engine.runFor(200);
+    const quotas = engine.processes.map(process => process.frameQuota);
+    engine.updateConfig({ pffUpperThreshold: 40, writeRatio: 0.2 });
+    assert.deepStrictEqual(engine.processes.map(process => process.frameQuota), quotas);
+});
+
+test('a swap-in reads its own page, even when the victim reuses the block', () => {
+    const { SimulationEngine, getScenario } = loadSimulation();
+    for (const id of ['outOfMemory', 'heavy']) {
+        for (const seed of [1, 8008]) {
+            const scenario = getScenario(id);
+            const engine = new SimulationEngine();
+            engine.loadScenario(Object.assign({}, scenario, {
+                config: Object.assign({}, scenario.config, { swapBlocks: 40, seed, historyLimit: 0 })
+            }));
+
+            const misread = [];
+            engine.on('onPageSwappedIn', ({ page, block }) => {
+                if (block.page !== page) misread.push(`${id}/${seed}: P${page.id} from block ${block.id}`);
+            });
+            engine.runFor(500);
+
+            assert.deepStrictEqual(misread, []);
+        }
+    }
+});
+
+test('fixed swap I/O: faults queue on the paging disk', () => {
+    const { SimulationEngine } = loadSimulation();
+    const engine = new SimulationEngine();
+    engine.updateConfig({ ramFrames: 2, swapBlocks: 16, swapDevice: 'fixed', diskServiceTime: 1000, historyLimit: 0 });
+    const first = engine.addProcess('A', 4);
+    const second = engine.addProcess('B', 4);
+
+    engine.accessPage(first.pages.find(page => page.location === 'disk'));
+    engine.accessPage(second.pages.find(page => page.location === 'disk'));
+
+    assert.strictEqual(first.blockedUntil, 1000);
+    assert.strictEqual(second.blockedUntil, 2000);
+});
+
+test('the CPU model does not carry over into the next scenario', () => {
+    const { SimulationEngine, getScenario, createCustomScenario } = loadSimulation();
+    const engine = new SimulationEngine();
+
+    engine.loadScenario(getScenario('multiprogramming'));
+    assert.strictEqual(engine.isCPUModelEnabled(), true);
+    engine.loadScenario(getScenario('light'));
+    assert.strictEqual(engine.isCPUModelEnabled(), false);
+
+    engine.loadScenario(getScenario('multiprogramming'));
+    engine.loadScenario(createCustomScenario({}));
+    assert.strictEqual(engine.isCPUModelEnabled(), false);
+});
+
+test('an unknown policy is rejected without changing the run', () => {
+    const { SimulationEngine, getScenario } = loadSimulation();
+    const engine = new SimulationEngine();
+    engine.loadScenario(getScenario('light'));
+    engine.runFor(20);
+
+    assert.throws(() => engine.updateConfig({ policy: 'NOPE', ramFrames: 8 }), /Unknown policy "NOPE"/);
+    assert.strictEqual(engine.config.policy, 'LRU');
+    assert.strictEqual(engine.config.ramFrames, getScenario('light').config.ramFrames);
+
+    const scenario = getScenario('heavy');
+    const typo = Object.assign({}, scenario, { config: Object.assign({}, scenario.config, { policy: 'LUR' }) });
+    assert.throws(() => engine.loadScenario(typo), /Unknown policy "LUR"/);
+    assert.strictEqual(engine.stepCount, 20);
+
+    new SimulationEngine().restore(engine.serialize());
+});
@@ -0,0 +1,61 @@
+/**
+ * Replacement policies on small hand-built workloads
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation } = require('../js/headless');
+
+/**
+ * Engine with one process of `pageCount` pages; the first `ramFrames`
+ * start in RAM, the rest in swap
+ */
+function createEngine(policy, ramFrames, pageCount, config = {}) {
+    const { SimulationEngine } = loadSimulation();
+    const engine = new SimulationEngine();
+    engine.updateConfig(Object.assign({ ramFrames, swapBlocks: 16, policy, historyLimit: 0 }, config));
+    const process = engine.addProcess('Test', pageCount);
+    return { engine, pages: process.pages };
+}
+
+test('Clock: a page loaded on a fault survives one sweep', () => {
+    const { engine, pages } = createEngine('CLOCK', 2, 4);
+
+    engine.accessPage(pages[2]);    // Fault: p0 evicted, p2 loaded into frame 0
+    engine.accessPage(pages[1]);    // Hit: p1 referenced
+    engine.accessPage(pages[3]);    // Fault: the hand clears p1 and p2, then takes p1
+
+    assert.strictEqual(pages[2].location, 'ram');
+    assert.strictEqual(pages[1].location, 'disk');
+    assert.deepStrictEqual(Array.from(engine.policy.getLastSweep().visited, v => v.cleared), [true, true, false]);
+});
+
+test('A page loaded on a fault counts its first reference', () => {
+    const { engine, pages } = createEngine('LFU', 2, 3);
+
+    engine.accessPage(pages[2]);
+
+    assert.strictEqual(pages[2].accessCount, 1);
+    assert.strictEqual(pages[2].referenceBit, 1);
+});
+
+test('WS releases pages outside the window where LRU keeps them', () => {
+    const run = (policy) => {
+        const { engine, pages } = createEngine(policy, 4, 6, { workingSetWindow: 2 });
+        engine.accessPage(pages[0]);
+        engine.tick();
+        engine.accessPage(pages[1]);
+        engine.tick();
+        engine.tick();
+        engine.tick();
+        const resident = engine.getResidentPages().length;
+        engine.accessPage(pages[2]);
+        return { resident, faults: engine.stats.totalPageFaults };
+    };
+
+    const lru = run('LRU');
+    const ws = run('WS');
+
+    assert.deepStrictEqual(lru, { resident: 4, faults: 0 });
+    assert.deepStrictEqual(ws, { resident: 0, faults: 1 });
+});
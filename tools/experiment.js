@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+/**
+ * experiment - Runs every combination of policies, frame counts and seeds
+ * on a scenario headlessly and reports the results
+ *
+ *   node tools/experiment.js heavy --policies FIFO,LRU,OPT --frames 8,16,32 --seeds 1,2,3 --steps 1000
+ *   node tools/experiment.js my-scenario.json --format csv --out results.csv
+ */
+const fs = require('fs');
+const path = require('path');
+const { loadSimulation } = require('../js/headless');
+
+const FORMATS = ['table', 'csv', 'json'];
+
+const USAGE = `Usage: node tools/experiment.js <scenario-id | scenario.json> [options]
+
+Options:
+  --policies LIST   Comma-separated policy keys (default: the scenario's policy)
+  --frames LIST     Comma-separated RAM frame counts (default: the scenario's)
+  --seeds LIST      Comma-separated workload seeds (default: the scenario's)
+  --steps N         Simulation steps per run (default: 1000)
+  --format FORMAT   table | csv | json (default: table)
+  --out FILE        Write the results to FILE instead of stdout
+  --help            Show this message`;
+
+/**
+ * Result columns: [key, header]
+ */
+const COLUMNS = [
+    ['scenario', 'Scenario'],
+    ['policy', 'Policy'],
+    ['frames', 'Frames'],
+    ['seed', 'Seed'],
+    ['steps', 'Steps'],
+    ['faults', 'Faults'],
+    ['hitRatio', 'Hit %'],
+    ['eat', 'EAT (µs)'],
+    ['swapIns', 'Swap In'],
+    ['swapOuts', 'Swap Out'],
+    ['writeBacks', 'Written'],
+    ['cleanDiscards', 'Clean'],
+    ['thrashingTime', 'Thrashing (ms)'],
+    ['thrashingPercent', 'Thrashing %'],
+    ['oomKills', 'OOM Kills']
+];
+
+function fail(message) {
+    console.error(`experiment: ${message}`);
+    console.error(USAGE);
+    process.exit(1);
+}
+
+function parseList(value, parse) {
+    return value.split(',').map(item => item.trim()).filter(item => item !== '').map(parse);
+}
+
+/**
+ * Parse an integer in [min, max]
+ */
+function parseInteger(value, min = 0, max = Number.MAX_SAFE_INTEGER) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        const range = max === Number.MAX_SAFE_INTEGER ? `of at least ${min}` : `from ${min} to ${max}`;
+        fail(`"${value}" is not an integer ${range}`);
+    }
+    return number;
+}
+
+const parseFrameCount = (value) => parseInteger(value, 1);
+const parseSeed = (value) => parseInteger(value, 0, 0xFFFFFFFF);    // Seeds are 32-bit
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+    const options = { scenario: null, policies: null, frames: null, seeds: null, steps: 1000, format: 'table', out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            console.log(USAGE);
+            process.exit(0);
+        }
+
+        if (!arg.startsWith('--')) {
+            if (options.scenario) fail(`unexpected argument "${arg}"`);
+            options.scenario = arg;
+            continue;
+        }
+
+        const value = argv[++i];
+        if (value === undefined) fail(`${arg} needs a value`);
+
+        switch (arg) {
+            case '--policies':
+                options.policies = parseList(value, key => key.toUpperCase());
+                break;
+            case '--frames':
+                options.frames = parseList(value, parseFrameCount);
+                break;
+            case '--seeds':
+                options.seeds = parseList(value, parseSeed);
+                break;
+            case '--steps':
+                options.steps = parseInteger(value);
+                break;
+            case '--format':
+                if (!FORMATS.includes(value)) fail(`unknown format "${value}"`);
+                options.format = value;
+                break;
+            case '--out':
+                options.out = value;
+                break;
+            default:
+                fail(`unknown option ${arg}`);
+        }
+    }
+
+    if (!options.scenario) fail('missing scenario');
+    return options;
+}
+
+/**
+ * Resolve a built-in scenario id or a scenario JSON file (same shape as Scenarios.js)
+ */
+function loadScenarioDefinition(sim, name) {
+    if (sim.SCENARIOS[name]) {
+        return sim.SCENARIOS[name];
+    }
+
+    if (!fs.existsSync(name)) {
+        fail(`"${name}" is neither a scenario id (${Object.keys(sim.SCENARIOS).join(', ')}) nor a file`);
+    }
+
+    const scenario = JSON.parse(fs.readFileSync(name, 'utf8'));
+    if (!scenario.config || !Array.isArray(scenario.processes)) {
+        fail(`${name}: a scenario needs "config" and "processes"`);
+    }
+    if (!scenario.id) {
+        scenario.id = path.basename(name, '.json');
+    }
+    return scenario;
+}
+
+/**
+ * Run one combination and collect its results
+ */
+function runExperiment(sim, scenario, policy, frames, seed, steps) {
+    const engine = new sim.SimulationEngine();
+    engine.loadScenario(Object.assign({}, scenario, {
+        config: Object.assign({}, scenario.config, { policy, ramFrames: frames, seed })
+    }));
+
+    // Report the seed the engine ran with, which is the one to replay
+    const stats = engine.runFor(steps);
+    return {
+        scenario: scenario.id,
+        policy,
+        frames,
+        seed: stats.seed,
+        steps,
+        faults: stats.totalPageFaults,
+        hitRatio: Number(stats.hitRatio),
+        eat: Number((stats.effectiveAccessTime / 1000).toFixed(1)),
+        swapIns: stats.swapInCount,
+        swapOuts: stats.swapOutCount,
+        writeBacks: stats.writeBacks,
+        cleanDiscards: stats.cleanDiscards,
+        thrashingTime: stats.thrashingTime,
+        thrashingPercent: stats.simulationTime > 0
+            ? Number((stats.thrashingTime / stats.simulationTime * 100).toFixed(1))
+            : 0,
+        oomKills: stats.oomKills
+    };
+}
+
+function formatTable(results) {
+    const rows = results.map(result => COLUMNS.map(([key]) => String(result[key])));
+    const headers = COLUMNS.map(([, header]) => header);
+    const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => row[i].length)));
+
+    const line = (cells) => cells.map((cell, i) => i < 2 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])).join('  ');
+    return [
+        line(headers),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...rows.map(line)
+    ].join('\n');
+}
+
+function formatCSV(results) {
+    const escape = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+    return [
+        COLUMNS.map(([key]) => key).join(','),
+        ...results.map(result => COLUMNS.map(([key]) => escape(result[key])).join(','))
+    ].join('\n');
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const sim = loadSimulation();
+    const scenario = loadScenarioDefinition(sim, options.scenario);
+
+    const policies = options.policies || [String(scenario.config.policy || 'LRU').toUpperCase()];
+    const frames = options.frames || [scenario.config.ramFrames || 32];
+    const seeds = options.seeds || [scenario.config.seed !== undefined && scenario.config.seed !== null ? scenario.config.seed : 1];
+
+    const unknown = policies.filter(policy => !sim.getPolicyEntry(policy));
+    if (unknown.length > 0) {
+        fail(`unknown policies ${unknown.join(', ')} (registered: ${sim.getRegisteredPolicies().map(p => p.key).join(', ')})`);
+    }
+
+    const results = [];
+    for (const policy of policies) {
+        for (const frameCount of frames) {
+            for (const seed of seeds) {
+                results.push(runExperiment(sim, scenario, policy, frameCount, seed, options.steps));
+            }
+        }
+    }
+
+    const output = options.format === 'json'
+        ? JSON.stringify(results, null, 2)
+        : options.format === 'csv' ? formatCSV(results) : formatTable(results);
+
+    if (options.out) {
+        fs.writeFileSync(options.out, output + '\n');
+        console.error(`experiment: ${results.length} runs written to ${options.out}`);
+    } else {
+        console.log(output);
+    }
+}
+
+main();